@@ -7,6 +7,7 @@ import withDragAndDrop from '../../src/addons/dragAndDrop';
 import { ContextMenu, MenuItem } from 'react-contextmenu';
 
 import ResizableMonthEvent from '../../src/addons/dragAndDrop/ResizableMonthEvent';
+import ResizableTimeEvent from '../../src/addons/dragAndDrop/ResizableTimeEvent';
 
 import 'react-big-calendar/lib/addons/dragAndDrop/styles.less';
 
@@ -142,7 +143,11 @@ class Dnd extends React.Component {
             event: this.rightClickEventMenu,
             dayCell: this.rightClickDayCellMenu,
           }}
-          components={{ month: { event: ResizableMonthEvent } }}
+          components={{
+            month: { event: ResizableMonthEvent },
+            week: { event: ResizableTimeEvent },
+            day: { event: ResizableTimeEvent },
+          }}
           defaultDate={new Date()}
           defaultView="month"
           events={this.state.events}
@@ -1,6 +1,8 @@
 import PropTypes from 'prop-types';
 import React from 'react';
+import cn from 'classnames';
 import classes from 'dom-helpers/class';
+import find from 'lodash/find';
 import getWidth from 'dom-helpers/query/width';
 import scrollbarSize from 'dom-helpers/util/scrollbarSize';
 
@@ -13,11 +15,23 @@ import { accessor, dateFormat, dateRangeFormat } from './utils/propTypes';
 import { inRange } from './utils/eventLevels';
 import { isSelected } from './utils/selection';
 
+// rows rendered past each edge of the viewport
+const OVERSCAN = 10;
+
+// stops loading days into a virtualized agenda that doesn't fill its viewport
+const MAX_FILL_LENGTH = 366;
+
 class Agenda extends React.Component {
   static propTypes = {
     events: PropTypes.array,
     date: PropTypes.instanceOf(Date),
     length: PropTypes.number.isRequired,
+    agendaPaging: PropTypes.oneOf(['days', 'week', 'month']),
+    agendaGroupBy: PropTypes.oneOf(['week', 'month']),
+    agendaShowEmptyDays: PropTypes.bool,
+    agendaVirtualized: PropTypes.bool,
+    agendaRowHeight: PropTypes.number,
+    getEventsInRange: PropTypes.func,
     titleAccessor: accessor.isRequired,
     allDayAccessor: accessor.isRequired,
     startAccessor: accessor.isRequired,
@@ -28,40 +42,74 @@ class Agenda extends React.Component {
     agendaDateFormat: dateFormat,
     agendaTimeFormat: dateFormat,
     agendaTimeRangeFormat: dateRangeFormat,
+    monthHeaderFormat: dateFormat,
+    dayRangeHeaderFormat: dateRangeFormat,
     culture: PropTypes.string,
 
     components: PropTypes.object.isRequired,
     messages: PropTypes.shape({
       date: PropTypes.string,
       time: PropTypes.string,
+      noEvents: PropTypes.string,
     }),
   };
 
   static defaultProps = {
     length: 30,
+    agendaPaging: 'days',
+    agendaRowHeight: 32,
   };
 
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      loadedLength: props.length,
+      scrollTop: 0,
+      viewportHeight: 0,
+    };
+  }
+
+  componentWillReceiveProps({ date, length }) {
+    if (dates.eq(date, this.props.date) && length === this.props.length) return;
+
+    this.setState({ loadedLength: length, scrollTop: 0 });
+    if (this.refs.content) this.refs.content.scrollTop = 0;
+  }
+
   componentDidMount() {
     this._adjustHeader();
+    this._adjusted = this._rendered;
+
+    if (this.props.agendaVirtualized) {
+      this.setState({ viewportHeight: this.refs.content.clientHeight });
+    }
   }
 
   componentDidUpdate() {
-    this._adjustHeader();
+    let { rows, first, last } = this._rendered;
+    let adjusted = this._adjusted;
+
+    // scrolling within the rendered rows leaves the columns as they are
+    if (rows !== adjusted.rows || first !== adjusted.first || last !== adjusted.last) {
+      this._adjustHeader();
+      this._adjusted = this._rendered;
+    }
+
+    this._fillViewport();
   }
 
   render() {
-    let { length, date, events, startAccessor } = this.props;
+    let { agendaVirtualized } = this.props;
     let messages = message(this.props.messages);
-    let end = dates.add(date, length, 'day');
+    let rows = this.getRows();
 
-    let range = dates.range(date, end, 'day');
-
-    events = events.filter(event => inRange(event, date, end, this.props));
-
-    events.sort((a, b) => +get(a, startAccessor) - +get(b, startAccessor));
+    this._rendered = agendaVirtualized
+      ? { rows, ...this.getWindow(rows) }
+      : { rows, first: 0, last: rows.length };
 
     return (
-      <div className="rbc-agenda-view">
+      <div className={cn('rbc-agenda-view', agendaVirtualized && 'rbc-agenda-virtualized')}>
         <table ref="header">
           <thead>
             <tr>
@@ -75,65 +123,266 @@ class Agenda extends React.Component {
             </tr>
           </thead>
         </table>
-        <div className="rbc-agenda-content" ref="content">
+        <div
+          className="rbc-agenda-content"
+          ref="content"
+          onScroll={agendaVirtualized ? this.handleScroll : undefined}
+        >
           <table>
-            <tbody ref="tbody">{range.map((day, idx) => this.renderDay(day, events, idx))}</tbody>
+            {agendaVirtualized && (
+              <colgroup>
+                <col ref="dateBodyCol" />
+                <col ref="timeBodyCol" />
+                <col />
+              </colgroup>
+            )}
+            <tbody ref="tbody">
+              {agendaVirtualized ? this.renderWindow() : rows.map(row => this.renderRow(row))}
+            </tbody>
           </table>
         </div>
       </div>
     );
   }
 
-  renderDay = (day, events, dayKey) => {
+  // scrolling only moves the window over the rows, they are worked out again when the
+  // props or the loaded days change
+  getRows() {
+    let { date, startAccessor, agendaVirtualized, getEventsInRange } = this.props;
+    let { loadedLength } = this.state;
+    let cached = this._rows;
+
+    if (cached && cached.props === this.props && cached.loadedLength === loadedLength) {
+      return cached.rows;
+    }
+
+    let range = this.canLoadMore()
+      ? dates.range(date, dates.add(date, loadedLength, 'day'), 'day')
+      : Agenda.range(date, this.props);
+    let end = range[range.length - 1];
+    let events = this.props.events;
+
+    // the days loaded while scrolling are past the range the calendar expanded
+    // recurring events for
+    if (agendaVirtualized && getEventsInRange) events = getEventsInRange(range[0], end);
+
+    events = events.filter(event => inRange(event, range[0], end, this.props));
+
+    events.sort((a, b) => +get(a, startAccessor) - +get(b, startAccessor));
+
+    let rows = this.groupRows(range, events);
+
+    this._rows = { props: this.props, loadedLength, rows };
+    return rows;
+  }
+
+  groupRows(range, events) {
+    let { agendaGroupBy, agendaShowEmptyDays, startAccessor, endAccessor } = this.props;
+    let days = range.map(() => []);
+    let group;
+
+    // bucket the events by day in a single pass, large agendas can't afford
+    // to filter every event for every day
+    events.forEach(event => {
+      let start = dates.max(get(event, startAccessor), range[0]);
+      let first = dates.diff(range[0], start, 'day');
+      let last = dates.diff(range[0], get(event, endAccessor), 'day');
+
+      for (let idx = first; idx <= Math.min(last, days.length - 1); idx++) {
+        days[idx].push(event);
+      }
+    });
+
+    return range.reduce((rows, day, dayIdx) => {
+      let dayEvents = days[dayIdx];
+
+      if (!dayEvents.length && !agendaShowEmptyDays) return rows;
+
+      if (agendaGroupBy && (!group || !dates.eq(group, this.groupStart(day)))) {
+        group = this.groupStart(day);
+        rows.push({ type: 'group', day: group });
+      }
+
+      if (!dayEvents.length) rows.push({ type: 'empty', day });
+
+      dayEvents.forEach((event, idx) =>
+        rows.push({ type: 'event', day, event, idx, count: dayEvents.length }),
+      );
+
+      return rows;
+    }, []);
+  }
+
+  groupStart(day) {
+    let { agendaGroupBy, culture } = this.props;
+
+    return dates.startOf(day, agendaGroupBy, localizer.startOfWeek(culture));
+  }
+
+  // the rows in sight, and the overscan past them
+  getWindow(rows) {
+    let { agendaRowHeight } = this.props;
+    let { scrollTop, viewportHeight } = this.state;
+
+    return {
+      first: Math.max(Math.floor(scrollTop / agendaRowHeight) - OVERSCAN, 0),
+      last: Math.min(
+        Math.ceil((scrollTop + viewportHeight) / agendaRowHeight) + OVERSCAN,
+        rows.length,
+      ),
+    };
+  }
+
+  renderWindow() {
+    let { agendaRowHeight } = this.props;
+    let { rows, first, last } = this._rendered;
+
+    return [
+      first > 0 && <tr key="_before" style={{ height: first * agendaRowHeight }} />,
+      ...rows.slice(first, last).map((row, idx) => this.renderRow(row, idx === 0)),
+      last < rows.length && (
+        <tr key="_after" style={{ height: (rows.length - last) * agendaRowHeight }} />
+      ),
+    ];
+  }
+
+  renderRow(row, isFirstRendered) {
+    switch (row.type) {
+      case 'group':
+        return this.renderGroupHeader(row.day);
+
+      case 'empty':
+        return this.renderEmptyDay(row.day);
+
+      default:
+        return this.renderEvent(row, isFirstRendered);
+    }
+  }
+
+  renderGroupHeader(start) {
+    let { agendaGroupBy, monthHeaderFormat, dayRangeHeaderFormat, culture } = this.props;
+    let label =
+      agendaGroupBy === 'month'
+        ? localizer.format(start, monthHeaderFormat, culture)
+        : localizer.format(
+            { start, end: dates.add(start, 6, 'day') },
+            dayRangeHeaderFormat,
+            culture,
+          );
+
+    return (
+      <tr key={'group_' + +start} className="rbc-agenda-group-header" style={this.rowStyle()}>
+        <td colSpan={3}>{label}</td>
+      </tr>
+    );
+  }
+
+  renderEmptyDay(day) {
+    return (
+      <tr key={'empty_' + +day} className="rbc-agenda-empty-day" style={this.rowStyle()}>
+        {this.renderDate(day)}
+        <td colSpan={2} className="rbc-agenda-empty-cell">
+          {message(this.props.messages).noEvents}
+        </td>
+      </tr>
+    );
+  }
+
+  renderDate(day, rowSpan) {
+    let { culture, components, agendaDateFormat } = this.props;
+    let DateComponent = components.date;
+    let dateLabel = localizer.format(day, agendaDateFormat, culture);
+
+    return (
+      <td rowSpan={rowSpan} className="rbc-agenda-date-cell">
+        {DateComponent ? <DateComponent day={day} label={dateLabel} /> : dateLabel}
+      </td>
+    );
+  }
+
+  renderEvent({ day, event, idx, count }, isFirstRendered) {
     let {
-      culture,
       components,
       titleAccessor,
-      agendaDateFormat,
       eventPropGetter,
       startAccessor,
       endAccessor,
       selected,
+      agendaVirtualized,
     } = this.props;
 
     let EventComponent = components.event;
-    let DateComponent = components.date;
 
-    events = events.filter(e => inRange(e, day, day, this.props));
-
-    return events.map((event, idx) => {
-      const { className, style } = eventPropGetter
-        ? eventPropGetter(
-            event,
-            get(event, startAccessor),
-            get(event, endAccessor),
-            isSelected(event, selected),
-          )
-        : {};
-      let dateLabel = idx === 0 && localizer.format(day, agendaDateFormat, culture);
-      let first =
-        idx === 0 ? (
-          <td rowSpan={events.length} className="rbc-agenda-date-cell">
-            {DateComponent ? <DateComponent day={day} label={dateLabel} /> : dateLabel}
-          </td>
+    const { className, style } = eventPropGetter
+      ? eventPropGetter(
+          event,
+          get(event, startAccessor),
+          get(event, endAccessor),
+          isSelected(event, selected),
+        )
+      : {};
+
+    // a virtualized day can start above the rendered rows, so every row gets a
+    // date cell and the label shows on the first one in sight
+    let dateCell;
+    if (agendaVirtualized) {
+      dateCell =
+        idx === 0 || isFirstRendered ? (
+          this.renderDate(day)
         ) : (
-          false
+          <td className="rbc-agenda-date-cell" />
         );
+    } else {
+      dateCell = idx === 0 && this.renderDate(day, count);
+    }
 
-      let title = get(event, titleAccessor);
+    let title = get(event, titleAccessor);
 
-      return (
-        <tr key={dayKey + '_' + idx} className={className} style={style}>
-          {first}
-          <td className="rbc-agenda-time-cell">{this.timeRangeLabel(day, event)}</td>
-          <td className="rbc-agenda-event-cell">
-            {EventComponent ? <EventComponent event={event} title={title} /> : title}
-          </td>
-        </tr>
-      );
-    }, []);
+    return (
+      <tr key={+day + '_' + idx} className={className} style={{ ...style, ...this.rowStyle() }}>
+        {dateCell}
+        <td className="rbc-agenda-time-cell">{this.timeRangeLabel(day, event)}</td>
+        <td className="rbc-agenda-event-cell">
+          {EventComponent ? <EventComponent event={event} title={title} /> : title}
+        </td>
+      </tr>
+    );
+  }
+
+  rowStyle() {
+    let { agendaVirtualized, agendaRowHeight } = this.props;
+
+    return agendaVirtualized ? { height: agendaRowHeight } : undefined;
+  }
+
+  canLoadMore() {
+    let { agendaVirtualized, agendaPaging } = this.props;
+
+    return !!agendaVirtualized && (!agendaPaging || agendaPaging === 'days');
+  }
+
+  loadMore() {
+    let { length } = this.props;
+
+    this.setState(({ loadedLength }) => ({ loadedLength: loadedLength + length }));
+  }
+
+  handleScroll = () => {
+    let { scrollTop, scrollHeight, clientHeight } = this.refs.content;
+
+    this.setState({ scrollTop, viewportHeight: clientHeight });
+
+    if (this.canLoadMore() && scrollTop + 2 * clientHeight >= scrollHeight) this.loadMore();
   };
 
+  _fillViewport() {
+    if (!this.canLoadMore() || this.state.loadedLength >= MAX_FILL_LENGTH) return;
+
+    let { scrollHeight, clientHeight } = this.refs.content;
+
+    if (scrollHeight <= clientHeight) this.loadMore();
+  }
+
   timeRangeLabel = (day, event) => {
     let { endAccessor, startAccessor, allDayAccessor, culture, messages, components } = this.props;
 
@@ -166,18 +415,30 @@ class Agenda extends React.Component {
 
   _adjustHeader = () => {
     let header = this.refs.header;
-    let firstRow = this.refs.tbody.firstChild;
+    // group headers and empty days don't have the date and time columns
+    let firstRow = find(this.refs.tbody.children, row => row.children.length === 3);
 
     if (!firstRow) return;
 
     let isOverflowing = this.refs.content.scrollHeight > this.refs.content.clientHeight;
-    let widths = this._widths || [];
+    let widths = this._widths || [0, 0];
 
     this._widths = [getWidth(firstRow.children[0]), getWidth(firstRow.children[1])];
 
+    // rows come and go while scrolling a virtualized agenda, so its columns only
+    // grow to keep them from jumping around
+    if (this.props.agendaVirtualized) {
+      this._widths = this._widths.map((width, idx) => Math.max(width, widths[idx]));
+    }
+
     if (widths[0] !== this._widths[0] || widths[1] !== this._widths[1]) {
       this.refs.dateCol.style.width = this._widths[0] + 'px';
       this.refs.timeCol.style.width = this._widths[1] + 'px';
+
+      if (this.props.agendaVirtualized) {
+        this.refs.dateBodyCol.style.width = this._widths[0] + 'px';
+        this.refs.timeBodyCol.style.width = this._widths[1] + 'px';
+      }
     }
 
     if (isOverflowing) {
@@ -189,22 +450,56 @@ class Agenda extends React.Component {
   };
 }
 
-Agenda.navigate = (date, action, { length = Agenda.defaultProps.length }) => {
+Agenda.navigate = (date, action, { length = Agenda.defaultProps.length, agendaPaging }) => {
+  let amount = length;
+  let unit = 'day';
+
+  if (agendaPaging === 'week' || agendaPaging === 'month') {
+    amount = 1;
+    unit = agendaPaging;
+  }
+
   switch (action) {
     case navigate.PREVIOUS:
-      return dates.add(date, -length, 'day');
+      return dates.add(date, -amount, unit);
 
     case navigate.NEXT:
-      return dates.add(date, length, 'day');
+      return dates.add(date, amount, unit);
 
     default:
       return date;
   }
 };
 
-Agenda.title = (start, { length = (length = Agenda.defaultProps.length), formats, culture }) => {
-  let end = dates.add(start, length, 'day');
-  return localizer.format({ start, end }, formats.agendaHeaderFormat, culture);
+Agenda.range = (date, { length = Agenda.defaultProps.length, agendaPaging, culture }) => {
+  if (agendaPaging === 'week' || agendaPaging === 'month') {
+    let firstOfWeek = localizer.startOfWeek(culture);
+
+    return dates.range(
+      dates.startOf(date, agendaPaging, firstOfWeek),
+      dates.endOf(date, agendaPaging, firstOfWeek),
+      'day',
+    );
+  }
+
+  return dates.range(date, dates.add(date, length, 'day'), 'day');
+};
+
+Agenda.title = (date, { formats, culture, ...props }) => {
+  let range = Agenda.range(date, { culture, ...props });
+  let start = range[0];
+  let end = range[range.length - 1];
+
+  switch (props.agendaPaging) {
+    case 'month':
+      return localizer.format(start, formats.monthHeaderFormat, culture);
+
+    case 'week':
+      return localizer.format({ start, end }, formats.dayRangeHeaderFormat, culture);
+
+    default:
+      return localizer.format({ start, end }, formats.agendaHeaderFormat, culture);
+  }
 };
 
 export default Agenda;
@@ -5,9 +5,12 @@ import { findDOMNode } from 'react-dom';
 import cn from 'classnames';
 
 import dates from './utils/dates';
-import { segStyle } from './utils/eventLevels';
+import localizer from './localizer';
+import { segStyle, eventSegments } from './utils/eventLevels';
+import { accessor as get } from './utils/accessors';
 import { notify } from './utils/helpers';
-import { elementType } from './utils/propTypes';
+import { accessor, businessHours, dateFormat, dragPreviews, elementType } from './utils/propTypes';
+import { isBusinessDay } from './utils/businessHours';
 import { dateCellSelection, slotWidth, getCellAtX, pointInBox } from './utils/selection';
 import Selection, { getBoundsForNode, isEvent } from './Selection';
 import { RIGHT_CLICK_DAY_CELL } from './ContextMenuTypes';
@@ -15,6 +18,7 @@ import { RIGHT_CLICK_DAY_CELL } from './ContextMenuTypes';
 class BackgroundCells extends React.Component {
   static propTypes = {
     date: PropTypes.instanceOf(Date),
+    now: PropTypes.instanceOf(Date),
     cellWrapperComponent: elementType,
     container: PropTypes.func,
     selectable: PropTypes.oneOf([true, false, 'ignoreEvents']),
@@ -24,14 +28,32 @@ class BackgroundCells extends React.Component {
     onSelectEnd: PropTypes.func,
     onSelectStart: PropTypes.func,
     onNavigate: PropTypes.func,
+    onFocusSlot: PropTypes.func,
+    renderSelectionPreview: PropTypes.func,
+    dragPreviews,
+    renderDragPreview: PropTypes.func,
+    backgroundEvents: PropTypes.array,
+    businessHours,
+    startAccessor: accessor,
+    endAccessor: accessor,
+    eventPropGetter: PropTypes.func,
 
     range: PropTypes.arrayOf(PropTypes.instanceOf(Date)),
+    // the length of a cell, the timeline's day scale has a cell per hour
+    unit: PropTypes.oneOf(['day', 'hours']),
+    resource: PropTypes.any,
     rtl: PropTypes.bool,
+    culture: PropTypes.string,
+    labelFormat: dateFormat,
     type: PropTypes.string,
     calendarId: PropTypes.number,
     activeCalendar: PropTypes.number,
   };
 
+  static defaultProps = {
+    unit: 'day',
+  };
+
   constructor(props, context) {
     super(props, context);
 
@@ -54,38 +76,34 @@ class BackgroundCells extends React.Component {
     if (!nextProps.selectable && this.props.selectable) this._teardownSelectable();
   }
 
-  generateId(date) {
-    return [date.getMonth(), date.getDate(), date.getFullYear()].join('-');
-  }
-
-  isSelectedCell(cellId) {
-    const selectedCell = this.generateId(this.props.date);
-    return selectedCell === cellId;
-  }
-
-  parseDateFromId(cellId) {
-    const [month, day, year] = cellId.split('-').map(i => parseInt(i));
-    return new Date(year, month, day);
-  }
-
   render() {
     let {
       range,
       cellWrapperComponent: Wrapper,
       date: currentDate,
+      now = new Date(),
+      resource,
+      rtl,
+      culture,
+      labelFormat,
       calendarId,
       activeCalendar,
+      renderSelectionPreview,
+      businessHours,
+      unit,
     } = this.props;
-    let { selecting, startIdx, endIdx, click } = this.state;
+    let isDay = unit === 'day';
+    let { selecting, previewing, startIdx, endIdx, click } = this.state;
 
     return (
       <div className="rbc-row-bg">
         {range.map((date, index) => {
-          const cellId = this.generateId(date);
-          const isNavigatedCellId = this.isSelectedCell(cellId) && activeCalendar === calendarId;
+          const isNavigatedCell =
+            isDay && dates.eq(date, currentDate, 'day') && activeCalendar === calendarId;
           let selected = selecting && index >= startIdx && index <= endIdx;
+          let isToday = isDay && dates.eq(date, now, 'day');
           return (
-            <Wrapper key={index} value={date} range={range}>
+            <Wrapper key={index} value={date} range={range} resource={resource}>
               <div
                 className="rbc-day-bg-wrapper"
                 style={{ ...segStyle(1, range.length), height: '100%' }}
@@ -96,24 +114,106 @@ class BackgroundCells extends React.Component {
                   id={RIGHT_CLICK_DAY_CELL}
                 >
                   <div
-                    id={cellId}
+                    role="gridcell"
+                    tabIndex={-1}
+                    aria-label={labelFormat && localizer.format(date, labelFormat, culture)}
+                    aria-selected={isNavigatedCell || selected}
+                    aria-current={isToday ? 'date' : undefined}
+                    onKeyDown={e => this.handleKeyDown(e, date)}
+                    onFocus={() => notify(this.props.onFocusSlot, [date])}
                     style={{ height: '100%' }}
                     className={cn('rbc-day-bg', {
-                      'rbc-today': dates.isToday(date),
+                      'rbc-today': isToday,
                       'rbc-selected-cell': selected,
-                      'rbc-selected-cell-click': isNavigatedCellId || (selected && click),
-                      'rbc-off-range-bg': dates.month(currentDate) !== dates.month(date),
+                      'rbc-selected-cell-click': isNavigatedCell || (selected && click),
+                      'rbc-now': !isDay && dates.eq(date, now, unit),
+                      // the all day row of the time grid has no month to be out of
+                      'rbc-off-range-bg':
+                        isDay && !!currentDate && dates.month(currentDate) !== dates.month(date),
+                      'rbc-non-business-day':
+                        isDay && !!businessHours && !isBusinessDay(businessHours, date, resource),
                     })}
-                  />
+                  >
+                    {this.renderBackgroundEvents(date)}
+                  </div>
                 </ContextMenuTrigger>
               </div>
             </Wrapper>
           );
         })}
+        {renderSelectionPreview &&
+          selecting &&
+          previewing &&
+          startIdx !== -1 &&
+          renderSelectionPreview({
+            start: range[startIdx],
+            end: range[endIdx],
+            style: {
+              [rtl ? 'right' : 'left']: startIdx / range.length * 100 + '%',
+              width: (endIdx - startIdx + 1) / range.length * 100 + '%',
+            },
+          })}
+        {this.props.dragPreviews && this.renderDragPreviews()}
       </div>
     );
   }
 
+  // tints the cell for each background event that overlaps its day
+  renderBackgroundEvents(date) {
+    let { backgroundEvents, startAccessor, endAccessor, eventPropGetter } = this.props;
+    let next = dates.add(date, 1, 'day');
+
+    if (!backgroundEvents) return null;
+
+    return backgroundEvents.map((event, idx) => {
+      let start = get(event, startAccessor);
+      let end = get(event, endAccessor);
+
+      if (!dates.lt(start, next) || !dates.gt(end, date)) return null;
+
+      if (eventPropGetter) var { style, className } = eventPropGetter(event, start, end, false);
+
+      return (
+        <div
+          key={idx}
+          aria-hidden="true"
+          style={style}
+          className={cn('rbc-background-event', className)}
+        />
+      );
+    });
+  }
+
+  renderDragPreviews() {
+    let { range, rtl, dragPreviews, renderDragPreview } = this.props;
+    let first = range[0];
+    let last = dates.add(range[range.length - 1], 1, 'day');
+    let accessors = { startAccessor: 'start', endAccessor: 'end' };
+
+    return dragPreviews
+      .filter(({ start, end }) => dates.lt(start, last) && dates.gt(end, first))
+      .map((preview, idx) => {
+        let { left, span } = eventSegments(preview, first, last, accessors, range);
+
+        return renderDragPreview({
+          ...preview,
+          key: idx,
+          style: {
+            [rtl ? 'right' : 'left']: (left - 1) / range.length * 100 + '%',
+            width: span / range.length * 100 + '%',
+          },
+        });
+      });
+  }
+
+  handleKeyDown = (e, date) => {
+    // Enter and Space do what a click on the cell does
+    if (!this.props.selectable || (e.key !== 'Enter' && e.key !== ' ')) return;
+
+    e.preventDefault();
+    notify(this.props.onNavigate, [null, date]);
+  };
+
   _selectable() {
     let node = findDOMNode(this);
     let selector = (this._selector = new Selection(this.props.container, {
@@ -140,12 +240,13 @@ class BackgroundCells extends React.Component {
         startIdx,
         endIdx,
         selecting: true,
+        previewing: true,
         click: false,
       });
     });
 
     selector.on('beforeSelect', box => {
-      this.setState({ selecting: false, click: false });
+      this.setState({ selecting: false, previewing: false, click: false });
       if (this.props.selectable !== 'ignoreEvents') return;
       return !isEvent(findDOMNode(this), box);
     });
@@ -169,7 +270,7 @@ class BackgroundCells extends React.Component {
     });
 
     selector.on('click', point => {
-      this.setState({ selecting: false, click: false });
+      this.setState({ selecting: false, previewing: false, click: false });
       if (!isEvent(findDOMNode(this), point)) {
         let rowBox = getBoundsForNode(node);
         let { range, rtl } = this.props;
@@ -177,12 +278,7 @@ class BackgroundCells extends React.Component {
         if (pointInBox(rowBox, point)) {
           let width = slotWidth(getBoundsForNode(node), range.length);
           let currentCell = getCellAtX(rowBox, point.x, width, rtl, range.length);
-          const cellId = node.childNodes
-            .item(currentCell)
-            .querySelector('.rbc-day-bg')
-            .getAttribute('id');
-          const date = this.parseDateFromId(cellId);
-          this.props.onNavigate(null, date);
+          this.props.onNavigate(null, range[currentCell]);
 
           // this._selectSlot({
           //   startIdx: currentCell,
@@ -196,6 +292,7 @@ class BackgroundCells extends React.Component {
     });
 
     selector.on('select', () => {
+      this.setState({ previewing: false });
       this._selectSlot({ ...this.state, action: 'select' });
       this._initial = {};
       notify(this.props.onSelectEnd, [this.state]);
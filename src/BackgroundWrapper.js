@@ -11,6 +11,7 @@ BackgroundWrapper.propTypes = {
   children: PropTypes.element,
   value: PropTypes.instanceOf(Date),
   range: PropTypes.arrayOf(PropTypes.instanceOf(Date)),
+  resource: PropTypes.any,
 };
 
 export default BackgroundWrapper;
@@ -1,54 +1,51 @@
 import PropTypes from 'prop-types';
 import React from 'react';
+import { findDOMNode } from 'react-dom';
+import Combokeys from 'combokeys';
 import uncontrollable from 'uncontrollable';
 import cn from 'classnames';
+import warning from 'warning';
 import {
   accessor,
   elementType,
+  businessHours,
   dateFormat,
   dateRangeFormat,
   views as componentViews,
 } from './utils/propTypes';
 
 import { notify } from './utils/helpers';
+import { accessor as get } from './utils/accessors';
+import dates from './utils/dates';
+import expandEvents, { occurrenceAccessor } from './utils/recurrence';
+import { toZoned, fromZoned, zonedAccessor, slotInfoFromZone } from './utils/timezone';
 import { navigate, views } from './utils/constants';
+import localizer from './localizer';
 import defaultFormats from './formats';
 import message from './utils/messages';
 import moveDate from './utils/move';
+import inBusinessHours from './utils/businessHours';
+import describeRange from './utils/describeRange';
+import keyBindings, { navigateActions } from './utils/keyBindings';
+import toICalendar from './utils/ics';
+import writeClipboard from './utils/clipboard';
+import History from './utils/history';
 import VIEWS from './Views';
 import Toolbar from './Toolbar';
 import EventWrapper from './EventWrapper';
 import BackgroundWrapper from './BackgroundWrapper';
 import DateContentRowWrapper from './DateContentRowWrapper';
+import DayColumnWrapper from './DayColumnWrapper';
 
 import omit from 'lodash/omit';
 import defaults from 'lodash/defaults';
 import transform from 'lodash/transform';
+import range from 'lodash/range';
 import mapValues from 'lodash/mapValues';
 
 import { ContextMenu, MenuItem, connectMenu } from 'react-contextmenu';
 import { RIGHT_CLICK_EVENT, RIGHT_CLICK_DAY_CELL } from './ContextMenuTypes';
 
-import addMonths from 'date-fns/add_months';
-import getMonth from 'date-fns/get_month';
-import getYear from 'date-fns/get_year';
-import { subMonths } from 'date-fns';
-
-const MONTHS = [
-  'January',
-  'February',
-  'March',
-  'April',
-  'May',
-  'June',
-  'July',
-  'August',
-  'September',
-  'October',
-  'November',
-  'December',
-];
-
 function viewNames(_views) {
   return !Array.isArray(_views) ? Object.keys(_views) : _views;
 }
@@ -60,6 +57,27 @@ function isValidView(view, { views: _views }) {
 
 let now = new Date();
 
+// `showTwoMonths` is the deprecated way to stack two months
+let monthCount = ({ monthsToShow, showTwoMonths }) =>
+  showTwoMonths && !(monthsToShow > 1) ? 2 : monthsToShow;
+
+let monthsBetween = (start, end) =>
+  (dates.year(end) - dates.year(start)) * 12 + dates.month(end) - dates.month(start);
+
+/**
+ * Keeps the visible months in place while `date` is one of them, otherwise
+ * scrolls the range just far enough to include it.
+ */
+function firstVisibleMonth(date, firstMonth, count) {
+  let month = dates.startOf(date, 'month');
+
+  if (!firstMonth || dates.lt(month, firstMonth, 'month')) return month;
+  if (dates.gte(month, dates.add(firstMonth, count, 'month'), 'month'))
+    return dates.add(month, 1 - count, 'month');
+
+  return firstMonth;
+}
+
 /**
  * react-big-calendar is full featured Calendar component for managing events and dates. It uses
  * modern `flexbox` for layout making it super responsive and performant. Leaving most of the layout heavy lifting
@@ -78,25 +96,19 @@ let now = new Date();
  * function `endAccessor` that returns the end date + 1 day for those events that end at midnight.
  */
 class Calendar extends React.Component {
-  state = {
-    selected: {},
-    switchMonthHeader: false,
-    selectedList: [],
-    startOfCurrentMonth: null,
-    endOfCurrentMonth: null,
-    activeCalendar: null,
-  };
-
   constructor(props) {
     super(props);
-    const date = new Date();
+
+    warning(!props.showTwoMonths, '`showTwoMonths` is deprecated, use `monthsToShow={2}`.');
+
+    this._monthNodes = [];
+    this._history = new History();
     this.state = {
-      startOfCurrentMonth: new Date(date.getFullYear(), date.getMonth(), 1),
-      endOfCurrentMonth: new Date(date.getFullYear(), date.getMonth() + 1, 0),
-      activeCalendar: 1,
+      firstMonth: firstVisibleMonth(props.date, null, monthCount(props)),
+      monthInView: 0,
       selected: {},
-      switchMonthHeader: false,
       selectedList: [],
+      announcement: '',
     };
   }
 
@@ -126,6 +138,19 @@ class Calendar extends React.Component {
      */
     events: PropTypes.arrayOf(PropTypes.object),
 
+    /**
+     * Events shaded behind the regular ones, such as availability windows, holidays or
+     * maintenance blocks. They span the full width of the Day and Week columns and tint the
+     * cells of the Month view, leave the layout of the other events alone and can't be
+     * selected. They share the accessors and `eventPropGetter` of `events`; with `resources`,
+     * one without a resource shades every resource.
+     *
+     * ```js
+     * backgroundEvents={[{ title: 'Closed', start: new Date(2018, 0, 1), end: new Date(2018, 0, 2) }]}
+     * ```
+     */
+    backgroundEvents: PropTypes.arrayOf(PropTypes.object),
+
     /**
      * Callback fired when the `date` value changes.
      *
@@ -149,7 +174,8 @@ class Calendar extends React.Component {
      *     start: Date,
      *     end: Date,
      *     slots: Array<Date>,
-     *     action: "select" | "click"
+     *     action: "select" | "click",
+     *     resourceId: ?any
      *   }
      * ) => any
      * ```
@@ -198,11 +224,23 @@ class Calendar extends React.Component {
      * Returning `false` from the handler will prevent a selection.
      *
      * ```js
-     * (range: { start: Date, end: Date }) => ?boolean
+     * (range: { start: Date, end: Date, resourceId: ?any }) => ?boolean
      * ```
      */
     onSelecting: PropTypes.func,
 
+    /**
+     * Turns on creating events by dragging: while a range is dragged out, a preview of
+     * the new event is drawn with the `event` component and `eventPropGetter`, and this
+     * callback fires on release. Ranges in the month view and the all day row are whole
+     * days, with an exclusive `end`. Only fires when `selectable` is `true`.
+     *
+     * ```js
+     * (event: { start: Date, end: Date, allDay: boolean, resourceId: ?any }) => any
+     * ```
+     */
+    onCreateEvent: PropTypes.func,
+
     /**
      * Callback fired when a calendar event is selected while pressing shift key.
      *
@@ -214,6 +252,70 @@ class Calendar extends React.Component {
      */
     onShiftSelect: PropTypes.func,
 
+    /**
+     * Callback fired when the `deleteSelected` key binding is pressed, with the selected events.
+     *
+     * ```js
+     * (events: Array<Object>) => any
+     * ```
+     */
+    onDeleteSelected: PropTypes.func,
+
+    /**
+     * Callback fired when events are pasted with the `paste` key binding. The `copy` and `cut`
+     * bindings pick up the selected events, and also put them on the system clipboard as
+     * `text/calendar` for other apps; cutting removes them through `onDeleteSelected`.
+     *
+     * The events are moved to the day of the last focused day cell or time slot
+     * (`targetStart`), or else the current `date`, by whole days, so each keeps its time of
+     * day and duration.
+     *
+     * ```js
+     * ({ events: Array<{ event: Object, start: Date, end: Date }>, targetStart: Date }) => any
+     * ```
+     */
+    onPasteEvents: PropTypes.func,
+
+    /**
+     * Callback fired when an event title is edited in place, on Enter or when the input loses
+     * focus.
+     *
+     * ```js
+     * ({ event: Object, title: string }) => any
+     * ```
+     */
+    onInlineEditEventTitle: PropTypes.func,
+
+    /**
+     * Maps keyboard actions to key combos, in the
+     * [Combokeys](https://github.com/avocode/combokeys) syntax. The bindings only apply
+     * while the calendar has focus, and are merged over the defaults; bind an action to
+     * `null` to turn it off. While a day cell, time slot or event of the Month and time grid
+     * views has focus, the arrow keys move the focus between them instead.
+     *
+     * The actions are `previousDay`, `nextDay`, `previousWeek`, `nextWeek`, `previous` and
+     * `next` (a whole period of the view), `today`, `deleteSelected`, `copy`, `cut`, `paste`,
+     * `undo`, `redo` and the name of any of the `views` to switch to it.
+     *
+     * ```js
+     * keyBindings={{
+     *   previousDay: 'left',
+     *   nextDay: 'right',
+     *   previousWeek: 'up',
+     *   nextWeek: 'down',
+     *   deleteSelected: 'del',
+     *   copy: 'mod+c',
+     *   cut: 'mod+x',
+     *   paste: 'mod+v',
+     *   undo: 'mod+z',
+     *   redo: 'mod+shift+z',
+     * }}
+     * ```
+     */
+    keyBindings: PropTypes.objectOf(
+      PropTypes.oneOfType([PropTypes.string, PropTypes.arrayOf(PropTypes.string)]),
+    ),
+
     /**
      * The selected event, if any.
      */
@@ -246,7 +348,7 @@ class Calendar extends React.Component {
      * }
      * ```
      *
-     * @type Calendar.Views ('month'|'week'|'work_week'|'day'|'agenda')
+     * @type Calendar.Views ('month'|'week'|'work_week'|'day'|'days'|'agenda'|'year'|'timeline')
      * @default ['month', 'week', 'day', 'agenda']
      */
     views: componentViews,
@@ -328,6 +430,9 @@ class Calendar extends React.Component {
      * to be considered a "long press." Long presses are used for time slot selection on touch
      * devices.
      *
+     * It does not change when drags start with the drag and drop addon. Pass `longPressThreshold`
+     * to `withDragAndDrop` for that.
+     *
      * @type {number}
      * @default 250
      */
@@ -375,6 +480,25 @@ class Calendar extends React.Component {
      */
     slotPropGetter: PropTypes.func,
 
+    /**
+     * The working hours, as ranges of wall clock times on days of the week (0 is Sunday).
+     * Time slots outside of them are marked with the `rbc-non-business-hours` class and days
+     * without any with `rbc-non-business-day` in the Month view. A range with a `resourceId`
+     * applies to that resource only; resources without ranges of their own use the ones
+     * without a `resourceId`.
+     *
+     * ```js
+     * [{ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }, { days: [6], start: '10:00', end: '14:00' }]
+     * ```
+     */
+    businessHours,
+
+    /**
+     * Keeps selections, and with the drag and drop addon drops and resizes, within the
+     * `businessHours`. Ranges of whole days only need to fall on working days.
+     */
+    limitToBusinessHours: PropTypes.bool,
+
     /**
      * Accessor for the event title, used to display event information. Should
      * resolve to a `renderable` value.
@@ -421,6 +545,177 @@ class Calendar extends React.Component {
      */
     endAccessor: accessor,
 
+    /**
+     * The recurrence of the event, as an RFC 5545 `RRULE` (optionally with `EXDATE` and `RDATE`
+     * lines). Recurring events are expanded into one occurrence per repetition, limited to the
+     * visible range of the current view. The event start is used as `DTSTART` unless the rule
+     * provides one; dates without a `Z` suffix are read as local times. A `DTSTART` with one
+     * repeats at the same UTC time, whatever the local time then is.
+     *
+     * Occurrences are copies of the event that also carry `masterEvent` (the original event)
+     * and `occurrenceDate` (the start of that occurrence), so callbacks such as `onSelectEvent`
+     * can tell which instance was touched.
+     *
+     * ```js
+     * string | (event: Object) => ?(string | Array<string>)
+     * ```
+     *
+     * ```js
+     * {
+     *   title: 'Standup',
+     *   start: new Date(2018, 0, 1, 9, 30),
+     *   end: new Date(2018, 0, 1, 9, 45),
+     *   rrule: 'RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR\nEXDATE:20180102T093000',
+     * }
+     * ```
+     *
+     * @type {(func|string)}
+     */
+    recurrenceAccessor: accessor,
+
+    /**
+     * The IANA name of the time zone the calendar is displayed in, e.g. `'America/New_York'`.
+     * Day boundaries, time gutter labels, the current time indicator and event positions follow
+     * this zone instead of the browser's.
+     *
+     * Dates handed to `onSelectSlot`, `onRightClickSlot` and `onSelecting` are converted back to
+     * the instants they represent. The `date`, `min`, `max` and `scrollToTime` props are read as
+     * wall clock times of the display zone.
+     */
+    timezone: PropTypes.string,
+
+    /**
+     * The IANA time zone an event is expressed in. When it resolves to a zone, the event's
+     * start and end are read as wall clock times of that zone and then shown in the display
+     * `timezone`.
+     *
+     * ```js
+     * string | (event: Object) => ?string
+     * ```
+     *
+     * @type {(func|string)}
+     */
+    timezoneAccessor: accessor,
+
+    /**
+     * An array of resources (rooms, people, ...) to book events against. When provided, the Day
+     * view shows one column per resource and the Week views group a column per resource under
+     * each date header. All day events are shown across every resource. The Timeline view shows
+     * one row per resource.
+     *
+     * Timed events show only in the column of the resource their `resourceAccessor` value
+     * matches. Those without a value, or with one that matches no resource, are not shown.
+     *
+     * Slot selections, and drops with the drag and drop addon, report the targeted `resourceId`.
+     */
+    resources: PropTypes.arrayOf(PropTypes.object),
+
+    /**
+     * The id of a resource, matched against the value of `resourceAccessor`.
+     *
+     * ```js
+     * string | (resource: Object) => any
+     * ```
+     *
+     * @type {(func|string)}
+     */
+    resourceIdAccessor: accessor,
+
+    /**
+     * The title of a resource, shown in the resource headers.
+     *
+     * ```js
+     * string | (resource: Object) => any
+     * ```
+     *
+     * @type {(func|string)}
+     */
+    resourceTitleAccessor: accessor,
+
+    /**
+     * The id of the resource an event is booked against. Events are only shown in the column of
+     * their resource.
+     *
+     * ```js
+     * string | (event: Object) => any
+     * ```
+     *
+     * @type {(func|string)}
+     */
+    resourceAccessor: accessor,
+
+    /**
+     * The number of consecutive months stacked in the Month view. The months scroll inside the
+     * calendar, and the toolbar label follows the month in view.
+     */
+    monthsToShow: PropTypes.number,
+
+    /**
+     * Stacks two months in the Month view.
+     *
+     * @deprecated use `monthsToShow={2}`
+     */
+    showTwoMonths: PropTypes.bool,
+
+    /**
+     * The days of the week shown by the Work Week view, 0 being Sunday.
+     *
+     * @default [1, 2, 3, 4, 5]
+     */
+    workDays: PropTypes.arrayOf(PropTypes.number),
+
+    /**
+     * Days of the week, 0 being Sunday, left out of the Month, Week and Work Week views. Events
+     * spanning a hidden day carry on across it as one segment. At least one day has to stay.
+     */
+    hiddenDays: PropTypes.arrayOf(PropTypes.number),
+
+    /**
+     * The number of days shown by the Days view. The toolbar steps by the same number of days.
+     */
+    dayCount: PropTypes.number,
+
+    /**
+     * Where the Days view starts: on the current date (`'day'`), or lined up with the weeks
+     * (`'week'`). Lined up pages follow on from each other and hold the current date; with a
+     * `dayCount` of 7 or 14 they start on the first day of the week.
+     */
+    dayCountAlignment: PropTypes.oneOf(['day', 'week']),
+
+    /**
+     * How the Agenda view pages through dates: by `length` days from the current date
+     * (`'days'`), or by calendar `'week'` or `'month'`.
+     */
+    agendaPaging: PropTypes.oneOf(['days', 'week', 'month']),
+
+    /**
+     * Groups the rows of the Agenda view under a heading for each week or month.
+     */
+    agendaGroupBy: PropTypes.oneOf(['week', 'month']),
+
+    /**
+     * Lists the days without events in the Agenda view, with a `messages.noEvents` row.
+     */
+    agendaShowEmptyDays: PropTypes.bool,
+
+    /**
+     * Renders only the rows of the Agenda view in sight, for very large sets of events. Rows
+     * have a fixed `agendaRowHeight`, and more days are loaded, `length` at a time, as the
+     * agenda is scrolled.
+     */
+    agendaVirtualized: PropTypes.bool,
+
+    /**
+     * The height, in pixels, of the rows of a virtualized Agenda view.
+     */
+    agendaRowHeight: PropTypes.number,
+
+    /**
+     * The time span covered by the Timeline view: the hours of a day (bounded by `min` and
+     * `max`), or the days of a week or a month.
+     */
+    timelineScale: PropTypes.oneOf(['day', 'week', 'month']),
+
     /**
      * Support to show multi-day events with specific start and end times in the
      * main time grid (rather than in the all day header).
@@ -508,6 +803,16 @@ class Calendar extends React.Component {
        */
       monthHeaderFormat: dateFormat,
 
+      /**
+       * Toolbar header format for the Year view, e.g "2015"
+       */
+      yearHeaderFormat: dateFormat,
+
+      /**
+       * Month name format for the month grids of the Year view, e.g "April"
+       */
+      yearMonthFormat: dateFormat,
+
       /**
        * Toolbar header format for the Week views, e.g. "Mar 29 - Apr 04"
        */
@@ -553,6 +858,16 @@ class Calendar extends React.Component {
      * In particular the `Event` component can be specified for the entire calendar, or you can
      * provide an individual component for each view type.
      *
+     * `selectionPreview` replaces the preview drawn while creating an event with
+     * `onCreateEvent`; it gets the new `event`, plus `label`, `style`, `eventComponent` and
+     * `eventPropGetter`.
+     *
+     * `dayColumnWrapper` wraps each day column of the Week and Day views and gets the
+     * props of the column it renders.
+     *
+     * `eventWrapper` wraps each event and gets the `event`, plus `isEditing` while the
+     * event title is edited in place.
+     *
      * ```jsx
      * let components = {
      *   event: MyEvent, // used by each view (Month, Day, Week)
@@ -569,8 +884,11 @@ class Calendar extends React.Component {
       eventWrapper: elementType,
       dayWrapper: elementType,
       dateCellWrapper: elementType,
+      dayColumnWrapper: elementType,
 
       toolbar: elementType,
+      resourceHeader: elementType,
+      selectionPreview: elementType,
 
       agenda: PropTypes.shape({
         date: elementType,
@@ -594,7 +912,14 @@ class Calendar extends React.Component {
     }),
 
     /**
-     * String messages used throughout the component, override to provide localizations
+     * String messages used throughout the component, override to provide localizations.
+     *
+     * The `announce*` messages are read out by screen readers through a polite live
+     * region: `announceNavigate(label)` with the new toolbar label,
+     * `announceSelectSlot(range)` for a selected range of slots, and
+     * `announceEventDrop(title, range)` and `announceEventResize(title, range)` for
+     * drag and drop, or `announceEventsDrop(titles, range)` and
+     * `announceEventsResize(titles, range)` when selected events move together.
      */
     messages: PropTypes.shape({
       allDay: PropTypes.node,
@@ -604,11 +929,22 @@ class Calendar extends React.Component {
       month: PropTypes.node,
       week: PropTypes.node,
       day: PropTypes.node,
+      days: PropTypes.node,
       agenda: PropTypes.node,
+      year: PropTypes.node,
+      timeline: PropTypes.node,
       date: PropTypes.node,
       time: PropTypes.node,
       event: PropTypes.node,
+      noEvents: PropTypes.node,
+      newEvent: PropTypes.node,
       showMore: PropTypes.func,
+      announceNavigate: PropTypes.func,
+      announceSelectSlot: PropTypes.func,
+      announceEventDrop: PropTypes.func,
+      announceEventResize: PropTypes.func,
+      announceEventsDrop: PropTypes.func,
+      announceEventsResize: PropTypes.func,
     }),
 
     /**
@@ -636,29 +972,130 @@ class Calendar extends React.Component {
     startAccessor: 'start',
     endAccessor: 'end',
 
+    resourceAccessor: 'resourceId',
+    resourceIdAccessor: 'id',
+    resourceTitleAccessor: 'title',
+
     longPressThreshold: 250,
+    monthsToShow: 1,
   };
 
   componentDidMount() {
-    window.addEventListener('scroll', this.handleScroll);
+    this.bindKeys();
+    this._announcedLabel = this._label;
   }
 
   componentWillUnmount() {
-    window.removeEventListener('scroll', this.handleScroll);
+    this._combokeys.detach();
+  }
+
+  componentWillReceiveProps(nextProps) {
+    let { date } = nextProps;
+    let monthsToShow = monthCount(nextProps);
+
+    if (dates.eq(date, this.props.date) && monthsToShow === monthCount(this.props)) return;
+
+    let firstMonth = firstVisibleMonth(date, this.state.firstMonth, monthsToShow);
+
+    this.setState({
+      firstMonth,
+      monthInView: monthsBetween(firstMonth, date),
+    });
+  }
+
+  componentDidUpdate(prevProps) {
+    if (!dates.eq(prevProps.date, this.props.date, 'month')) this.scrollToMonth();
+    if (prevProps.keyBindings !== this.props.keyBindings) this.bindKeys();
+
+    if (this._label !== this._announcedLabel) {
+      this._announcedLabel = this._label;
+      this.announce(message(this.props.messages).announceNavigate(this._label));
+    }
+  }
+
+  /**
+   * Reads `text` out to screen readers through the live region.
+   */
+  announce(text) {
+    this.setState({ announcement: text });
+  }
+
+  /**
+   * Takes back the last change to the events: an inline title edit or, with the drag and drop
+   * addon, a drop, resize or reorder. The change is undone by calling the callback that made
+   * it, like `onEventDrop`, again with the old values. Returns whether there was one.
+   */
+  undo() {
+    return this._history.undo();
+  }
+
+  /**
+   * Makes the last undone change again, through the same callbacks.
+   */
+  redo() {
+    return this._history.redo();
+  }
+
+  // puts a change, `{ undo() {}, redo() {} }`, on the undo history
+  recordChange(change) {
+    this._history.push(change);
+  }
+
+  // the events picked with (shift) clicks, in the order they were picked
+  getSelectedEvents() {
+    return this.state.selectedList.slice();
   }
 
-  handleScroll = () => {
-    const { switchMonthHeader } = this.state;
-    const secondMonthFromTop = document.getElementById('month-view-two').getBoundingClientRect()
-      .top;
-
-    if (secondMonthFromTop === 0) {
-      this.setState({ switchMonthHeader: false });
-    } else if (secondMonthFromTop < 130 && !switchMonthHeader) {
-      this.setState({ switchMonthHeader: true });
-    } else if (secondMonthFromTop > 130 && switchMonthHeader) {
-      this.setState({ switchMonthHeader: false });
+  bindKeys() {
+    const bindings = keyBindings(this.props.keyBindings);
+
+    // bound to the calendar node rather than the document, so the keys only
+    // apply while focus is within the calendar
+    if (!this._combokeys) {
+      this._combokeys = new Combokeys(findDOMNode(this), { storeInstancesGlobally: false });
     }
+
+    this._combokeys.reset();
+
+    Object.keys(bindings).forEach(action => {
+      this._combokeys.bind(bindings[action], () => this.handleKeyAction(action));
+    });
+  }
+
+  getMonths() {
+    const { view } = this.props;
+    const monthsToShow = monthCount(this.props);
+
+    if (view !== views.MONTH || !(monthsToShow > 1)) return null;
+
+    return range(monthsToShow).map(idx => dates.add(this.state.firstMonth, idx, 'month'));
+  }
+
+  createMonthsRef = r => {
+    this._monthsContainer = r;
+  };
+
+  scrollToMonth() {
+    const node = this._monthNodes[this.state.monthInView];
+
+    if (this._monthsContainer && node) this._monthsContainer.scrollTop = node.offsetTop;
+  }
+
+  handleMonthsScroll = () => {
+    const container = this._monthsContainer;
+    const { top, height } = container.getBoundingClientRect();
+    let monthInView = 0;
+
+    // the month crossing the middle of the container is the one in view, unless
+    // the last one is too short to ever get there
+    this._monthNodes.forEach((node, idx) => {
+      if (node && node.getBoundingClientRect().top <= top + height / 2) monthInView = idx;
+    });
+
+    if (container.scrollTop + container.clientHeight >= container.scrollHeight)
+      monthInView = monthCount(this.props) - 1;
+
+    if (monthInView !== this.state.monthInView) this.setState({ monthInView });
   };
 
   getViews = () => {
@@ -687,6 +1124,49 @@ class Calendar extends React.Component {
     return views[this.props.view];
   };
 
+  getAccessors = () => {
+    let { recurrenceAccessor, startAccessor, endAccessor } = this.props;
+
+    if (recurrenceAccessor) {
+      startAccessor = occurrenceAccessor(startAccessor, 'occurrenceDate');
+      endAccessor = occurrenceAccessor(endAccessor, 'occurrenceEnd');
+    }
+
+    return {
+      startAccessor: zonedAccessor(startAccessor, this.props),
+      endAccessor: zonedAccessor(endAccessor, this.props),
+    };
+  };
+
+  getNow = () => toZoned(new Date(), this.props.timezone);
+
+  getEvents = (View, date) => {
+    const { events, recurrenceAccessor } = this.props;
+
+    if (!recurrenceAccessor || typeof View.range !== 'function') return events;
+
+    const range = View.range(date, this.props);
+
+    return this.getEventsInRange(range[0], range[range.length - 1]);
+  };
+
+  /**
+   * The events, with recurring ones expanded, for the days between `start` and
+   * `end`. Views that show more than their `range` can ask for the rest here.
+   */
+  getEventsInRange = (start, end) => {
+    const { events, recurrenceAccessor, startAccessor, endAccessor, timezone } = this.props;
+
+    if (!recurrenceAccessor) return events;
+
+    return expandEvents(
+      events,
+      fromZoned(dates.startOf(start, 'day'), timezone),
+      fromZoned(dates.endOf(end, 'day'), timezone),
+      { recurrenceAccessor, startAccessor, endAccessor },
+    );
+  };
+
   getDrilldownView = date => {
     const { view, drilldownView, getDrilldownView } = this.props;
 
@@ -733,61 +1213,6 @@ class Calendar extends React.Component {
     return <ConnectedMenu />;
   }
 
-  handleCalendarMonthChange = (date: Date, action) => {
-    const dateTime = new Date(date).getTime();
-    let { startOfCurrentMonth, endOfCurrentMonth, activeCalendar } = this.state;
-    const startOfCurrentMonthTime = startOfCurrentMonth.getTime();
-    const endOfCurrentMonthTime = endOfCurrentMonth.getTime();
-
-    if (action === navigate.NEXT) {
-      const nextMonth = startOfCurrentMonth.getMonth() + 1;
-
-      startOfCurrentMonth = new Date(startOfCurrentMonth.getFullYear(), nextMonth, 1);
-
-      endOfCurrentMonth = new Date(endOfCurrentMonth.getFullYear(), nextMonth + 1, 0);
-    }
-
-    if (action === navigate.PREVIOUS) {
-      const previousMonth = startOfCurrentMonth.getMonth() - 1;
-
-      startOfCurrentMonth = new Date(startOfCurrentMonth.getFullYear(), previousMonth, 1);
-
-      endOfCurrentMonth = new Date(endOfCurrentMonth.getFullYear(), previousMonth + 1, 0);
-    }
-
-    if (dateTime < startOfCurrentMonthTime && action === null) {
-      activeCalendar = 1;
-      startOfCurrentMonth = new Date(
-        startOfCurrentMonth.getFullYear(),
-        startOfCurrentMonth.getMonth() - 1,
-        1,
-      );
-      endOfCurrentMonth = new Date(
-        endOfCurrentMonth.getFullYear(),
-        endOfCurrentMonth.getMonth(),
-        0,
-      );
-    }
-
-    if (dateTime > endOfCurrentMonthTime && action === null) {
-      activeCalendar = 2;
-
-      const dateCurrentMonth = date.getMonth();
-      const startMonth = startOfCurrentMonth.getMonth();
-
-      const nextMonth = dateCurrentMonth > startMonth ? dateCurrentMonth : startMonth + 1;
-
-      startOfCurrentMonth = new Date(startOfCurrentMonth.getFullYear(), nextMonth, 1);
-      endOfCurrentMonth = new Date(endOfCurrentMonth.getFullYear(), nextMonth + 1, 0);
-    }
-
-    this.setState({
-      activeCalendar,
-      startOfCurrentMonth,
-      endOfCurrentMonth,
-    });
-  };
-
   render() {
     let {
       view,
@@ -802,15 +1227,19 @@ class Calendar extends React.Component {
       elementProps,
       toolbarExtras,
       date: current,
+      monthsToShow,
       showTwoMonths,
+      recurrenceAccessor,
+      timezone,
+      timezoneAccessor,
       ...props
     } = this.props;
-    const { startOfCurrentMonth, endOfCurrentMonth, activeCalendar } = this.state;
 
     formats = defaultFormats(formats);
     messages = message(messages);
 
     let View = this.getView();
+    let accessors = this.getAccessors();
     let names = viewNames(this.props.views);
 
     let viewComponents = defaults(components[view] || {}, omit(components, names), {
@@ -818,22 +1247,53 @@ class Calendar extends React.Component {
       dayWrapper: BackgroundWrapper,
       dateCellWrapper: BackgroundWrapper,
       dateContentRowWrapper: DateContentRowWrapper,
+      dayColumnWrapper: DayColumnWrapper,
     });
 
-    let nextMonth = addMonths(current, 1);
-    let labelNextMonth = '';
-
-    if (showTwoMonths) {
-      nextMonth = activeCalendar === 2 ? current : nextMonth;
-      labelNextMonth = View.title(nextMonth, { formats, culture });
-      current = subMonths(nextMonth, 1);
-    }
+    let months = this.getMonths();
+    let { monthInView } = this.state;
 
     let CalToolbar = components.toolbar || Toolbar;
-    const label = View.title(current, { formats, culture });
+    const label = View.title(months ? months[monthInView] : current, {
+      ...props,
+      formats,
+      culture,
+    });
+
+    this._label = label;
+
+    let viewProps = {
+      ...formats,
+      ...props,
+      ...accessors,
+      components: viewComponents,
+      culture,
+      formats: undefined,
+      getDrilldownView: this.getDrilldownView,
+      getEventsInRange: this.getEventsInRange,
+      messages,
+      now: this.getNow(),
+      getNow: this.getNow,
+      onDoubleClickEvent: this.handleDoubleClickEvent,
+      onDrillDown: this.handleDrillDown,
+      onFocusSlot: this.handleFocusSlot,
+      onInlineEditEventTitle: this.handleInlineEditEventTitle,
+      onNavigate: this.handleNavigate,
+      onRightClickSlot: this.handleRightClickSlot,
+      onSelectEvent: this.handleSelectEvent,
+      onSelectSlot: this.handleSelectSlot,
+      onSelecting:
+        props.onSelecting || this.isLimitedToBusinessHours() ? this.handleSelecting : undefined,
+      onCreateEvent: props.onCreateEvent && this.handleCreateEvent,
+      onShowMore: this._showMore,
+      selected: this.state.selected,
+      selectedList: this.state.selectedList,
+      showAllEvents: this.props.showAllEvents,
+    };
 
     return (
       <div
+        tabIndex={-1}
         {...elementProps}
         className={cn('rbc-calendar', className, {
           'rbc-rtl': props.rtl,
@@ -845,110 +1305,65 @@ class Calendar extends React.Component {
             date={current}
             view={view}
             views={names}
-            label={this.state.switchMonthHeader ? labelNextMonth : label}
+            label={label}
             onViewChange={this.handleViewChange}
             onNavigate={this.handleNavigate}
             messages={messages}
             toolbarExtras={toolbarExtras}
           />
         )}
-        <View
-          {...formats}
-          {...props}
-          components={viewComponents}
-          culture={culture}
-          date={current}
-          events={events}
-          formats={undefined}
-          getDrilldownView={this.getDrilldownView}
-          messages={messages}
-          onDoubleClickEvent={this.handleDoubleClickEvent}
-          onDrillDown={this.handleDrillDown}
-          onInlineEditEventTitle={this.props.onInlineEditEventTitle}
-          onNavigate={this.handleNavigate}
-          onRightClickSlot={this.handleRightClickSlot}
-          onSelectEvent={this.handleSelectEvent}
-          onSelectSlot={this.handleSelectSlot}
-          onShowMore={this._showMore}
-          ref="view"
-          selected={this.state.selected}
-          selectedList={this.state.selectedList}
-          showAllEvents={this.props.showAllEvents}
-          activeCalendar={activeCalendar}
-          calendarId={1}
-        />
-        <div
-          id="month-view-two"
-          className="rbc-month-view-two"
-          style={{ display: showTwoMonths ? 'block' : 'none' }}
-        >
+        {months ? (
           <div
-            className="rbc-month-header-two"
-            style={{
-              borderColor: '#ddd',
-              borderStyle: 'solid none solid none',
-              borderWidth: '1px',
-              color: '#454545',
-              display: 'flex',
-              fontSize: '22px',
-              fontWeight: '500',
-              padding: '10px 27px',
-              textAlign: 'center',
-            }}
+            className="rbc-months-container"
+            ref={this.createMonthsRef}
+            onScroll={this.handleMonthsScroll}
           >
-            <span style={{ minWidth: 206 }} />
-            <span style={{ flex: 2 }}>
-              {MONTHS[getMonth(nextMonth)]} {getYear(nextMonth)}
-            </span>
-            <span style={{ minWidth: 362 }} />
+            {months.map((month, idx) => (
+              <div key={idx} className="rbc-month-container" ref={r => (this._monthNodes[idx] = r)}>
+                <div className="rbc-month-container-header">
+                  {localizer.format(month, formats.monthHeaderFormat, culture)}
+                </div>
+                <View
+                  {...viewProps}
+                  date={dates.eq(month, current, 'month') ? current : month}
+                  events={this.getEvents(View, month)}
+                  activeCalendar={monthsBetween(months[0], current) + 1}
+                  calendarId={idx + 1}
+                />
+              </div>
+            ))}
           </div>
+        ) : (
           <View
-            {...formats}
-            {...props}
-            components={viewComponents}
-            culture={culture}
-            date={nextMonth}
-            events={events}
-            formats={undefined}
-            getDrilldownView={this.getDrilldownView}
-            messages={messages}
-            onDoubleClickEvent={this.handleDoubleClickEvent}
-            onDrillDown={this.handleDrillDown}
-            onInlineEditEventTitle={this.props.onInlineEditEventTitle}
-            onNavigate={this.handleNavigate}
-            onRightClickSlot={this.handleRightClickSlot}
-            onSelectEvent={this.handleSelectEvent}
-            onSelectSlot={this.handleSelectSlot}
-            onShowMore={this._showMore}
-            ref="view"
-            selected={this.state.selected}
-            selectedList={this.state.selectedList}
-            showAllEvents={this.props.showAllEvents}
-            activeCalendar={activeCalendar}
-            calendarId={2}
+            {...viewProps}
+            date={current}
+            events={this.getEvents(View, current)}
+            activeCalendar={1}
+            calendarId={1}
           />
-        </div>
+        )}
 
         {this.renderDayCellMenu()}
         {this.renderEventMenu()}
+
+        <div className="rbc-sr-only" role="status" aria-live="polite" aria-atomic="true">
+          {this.state.announcement}
+        </div>
       </div>
     );
   }
 
   handleNavigate = (action, newDate) => {
-    let { view, date, onNavigate, showTwoMonths, ...props } = this.props;
+    let { view, date, onNavigate, ...props } = this.props;
     let ViewComponent = this.getView();
 
     date = moveDate(ViewComponent, {
       ...props,
       action,
       date: newDate || date,
+      today: this.getNow(),
     });
 
-    if (showTwoMonths) {
-      this.handleCalendarMonthChange(date, action);
-    }
-
     onNavigate(date, view, action);
   };
 
@@ -997,18 +1412,164 @@ class Calendar extends React.Component {
     });
   };
 
+  handleKeyAction = action => {
+    if (navigateActions[action]) {
+      this.handleNavigate(navigateActions[action]);
+    } else if (action === 'deleteSelected') {
+      this.handleDeleteSelected();
+    } else if (action === 'copy' || action === 'cut') {
+      // with no events selected the keys do their usual thing, like copying text
+      if (!this.handleCopy(action === 'cut')) return;
+    } else if (action === 'paste') {
+      if (!this.handlePaste()) return;
+    } else if (action === 'undo' || action === 'redo') {
+      if (!this[action]()) return;
+    } else if (isValidView(action, this.props)) {
+      this.handleViewChange(action);
+    } else {
+      return;
+    }
+
+    // handled, so keep the browser from scrolling on arrow keys and such
+    return false;
+  };
+
+  handleDeleteSelected = () => {
+    const { selectedList } = this.state;
+
+    if (!selectedList.length) return;
+
+    notify(this.props.onDeleteSelected, [selectedList.slice()]);
+    this.setState({ selected: {}, selectedList: [] });
+  };
+
+  handleCopy = cut => {
+    const { selectedList } = this.state;
+    const { titleAccessor, allDayAccessor, timezone } = this.props;
+    const { startAccessor, endAccessor } = this.getAccessors();
+
+    if (!selectedList.length) return false;
+
+    this._clipboard = selectedList.slice();
+
+    writeClipboard({
+      'text/calendar': toICalendar(
+        selectedList.map((event, idx) => ({
+          uid: `${event.id != null ? event.id : idx}@react-big-calendar`,
+          title: get(event, titleAccessor),
+          start: get(event, startAccessor),
+          end: get(event, endAccessor),
+          allDay: get(event, allDayAccessor),
+        })),
+        { timezone },
+      ),
+      'text/plain': selectedList.map(event => get(event, titleAccessor)).join('\n'),
+    });
+
+    if (cut) this.handleDeleteSelected();
+
+    return true;
+  };
+
+  handlePaste = () => {
+    const { date, timezone } = this.props;
+    const { startAccessor, endAccessor } = this.getAccessors();
+    const events = this._clipboard;
+
+    if (!events || !events.length) return false;
+
+    // whole days are added, so every event keeps its time of day and duration
+    let targetStart = this._focusedSlot || dates.startOf(date, 'day');
+    let first = dates.min(...events.map(event => get(event, startAccessor)));
+    let days = dates.diff(first, targetStart, 'day');
+
+    if (dates.lt(targetStart, first, 'day')) days = -days;
+
+    notify(this.props.onPasteEvents, {
+      events: events.map(event => ({
+        event,
+        start: fromZoned(dates.add(get(event, startAccessor), days, 'day'), timezone),
+        end: fromZoned(dates.add(get(event, endAccessor), days, 'day'), timezone),
+      })),
+      targetStart: fromZoned(targetStart, timezone),
+    });
+
+    return true;
+  };
+
+  handleFocusSlot = date => {
+    this._focusedSlot = date;
+  };
+
+  handleInlineEditEventTitle = ({ event, title }) => {
+    const { onInlineEditEventTitle, titleAccessor } = this.props;
+    const previous = get(event, titleAccessor);
+
+    // the input reports its value on blur too, even when left as it was, and without a
+    // callback there is nothing to take back
+    if (onInlineEditEventTitle && title !== previous) {
+      this.recordChange({
+        undo: () => notify(this.props.onInlineEditEventTitle, { event, title: previous }),
+        redo: () => notify(this.props.onInlineEditEventTitle, { event, title }),
+      });
+    }
+
+    notify(onInlineEditEventTitle, { event, title });
+  };
+
   handleDoubleClickEvent = (...args) => {
     notify(this.props.onDoubleClickEvent, args);
   };
 
+  isLimitedToBusinessHours() {
+    return !!this.props.limitToBusinessHours && !!this.props.businessHours;
+  }
+
+  // selections of whole days end on their last day rather than after it
+  isInBusinessHours({ start, end, slots = [], resourceId }) {
+    if (!this.isLimitedToBusinessHours()) return true;
+
+    let isWholeDays = slots.length > 0 && slots.every(slot => dates.isJustDate(slot));
+
+    return inBusinessHours(this.props.businessHours, {
+      start,
+      end: isWholeDays ? dates.add(end, 1, 'day') : end,
+      resourceId,
+    });
+  }
+
   handleSelectSlot = slotInfo => {
+    let { messages, formats, culture } = this.props;
+
+    if (!this.isInBusinessHours(slotInfo)) return;
+
+    this.announce(
+      message(messages).announceSelectSlot(
+        describeRange(slotInfo.start, slotInfo.end, { formats: defaultFormats(formats), culture }),
+      ),
+    );
+
     this.setState({ selected: {} }, () => {
-      notify(this.props.onSelectSlot, slotInfo);
+      notify(this.props.onSelectSlot, slotInfoFromZone(slotInfo, this.props.timezone));
     });
   };
 
+  handleCreateEvent = event => {
+    if (!this.isInBusinessHours(event)) return;
+
+    notify(this.props.onCreateEvent, slotInfoFromZone(event, this.props.timezone));
+  };
+
+  handleSelecting = range => {
+    let { onSelecting, timezone } = this.props;
+
+    if (!this.isInBusinessHours(range)) return false;
+
+    return onSelecting ? onSelecting(slotInfoFromZone(range, timezone)) : true;
+  };
+
   handleRightClickSlot = slotInfo => {
-    notify(this.props.onRightClickSlot, slotInfo);
+    notify(this.props.onRightClickSlot, slotInfoFromZone(slotInfo, this.props.timezone));
   };
 
   handleDrillDown = (date, view) => {
@@ -1018,7 +1579,11 @@ class Calendar extends React.Component {
   };
 }
 
-export default uncontrollable(Calendar, {
-  view: 'onView',
-  date: 'onNavigate',
-});
+export default uncontrollable(
+  Calendar,
+  {
+    view: 'onView',
+    date: 'onNavigate',
+  },
+  ['announce', 'getSelectedEvents', 'undo', 'redo', 'recordChange'],
+);
@@ -6,22 +6,30 @@ import React from 'react';
 import { findDOMNode } from 'react-dom';
 
 import dates from './utils/dates';
-import { accessor, elementType } from './utils/propTypes';
-import { segStyle, eventSegments, endOfRange, eventLevels } from './utils/eventLevels';
+import { accessor, businessHours, dateFormat, dragPreviews, elementType } from './utils/propTypes';
+import { accessor as get } from './utils/accessors';
+import { segStyle, eventSegments, endOfRange, eventLevels, withLevels } from './utils/eventLevels';
 import BackgroundCells from './BackgroundCells';
 import EventRow from './EventRow';
 import EventEndingRow from './EventEndingRow';
+import SelectionPreview from './SelectionPreview';
 
 let isSegmentInSlot = (seg, slot) => seg.left <= slot && seg.right >= slot;
 
 const propTypes = {
   date: PropTypes.instanceOf(Date),
   events: PropTypes.array.isRequired,
+  backgroundEvents: PropTypes.array,
+  businessHours,
   range: PropTypes.array.isRequired,
 
   rtl: PropTypes.bool,
+  culture: PropTypes.string,
+  labelFormat: dateFormat,
   renderForMeasure: PropTypes.bool,
   renderHeader: PropTypes.func,
+  renderSelectionPreview: PropTypes.func,
+  dragPreviews,
 
   container: PropTypes.func,
   selected: PropTypes.object,
@@ -45,6 +53,7 @@ const propTypes = {
   minRows: PropTypes.number.isRequired,
   maxRows: PropTypes.number.isRequired,
   onNavigate: PropTypes.func,
+  onFocusSlot: PropTypes.func,
   calendarId: PropTypes.number,
   activeCalendar: PropTypes.number,
 };
@@ -118,6 +127,21 @@ class DateContentRow extends React.Component {
     });
   };
 
+  renderDragPreview = ({ event, start, end, className, style, key }) => {
+    let { titleAccessor, eventComponent, eventPropGetter } = this.props;
+
+    return (
+      <SelectionPreview
+        key={key}
+        className={cn('rbc-drag-preview', className)}
+        event={{ ...event, title: get(event, titleAccessor), start, end }}
+        style={style}
+        eventComponent={eventComponent}
+        eventPropGetter={eventPropGetter}
+      />
+    );
+  };
+
   renderDummy = () => {
     let { className, range, renderHeader } = this.props;
     return (
@@ -144,7 +168,11 @@ class DateContentRow extends React.Component {
     const {
       date,
       rtl,
+      culture,
+      labelFormat,
       events,
+      backgroundEvents,
+      businessHours,
       range,
       className,
       selectable,
@@ -152,6 +180,8 @@ class DateContentRow extends React.Component {
       startAccessor,
       endAccessor,
       renderHeader,
+      renderSelectionPreview,
+      dragPreviews,
       minRows,
       maxRows,
       dateCellWrapper,
@@ -162,6 +192,7 @@ class DateContentRow extends React.Component {
       longPressThreshold,
       isArrowNavigated,
       onNavigate,
+      onFocusSlot,
       calendarId,
       activeCalendar,
       ...props
@@ -169,13 +200,17 @@ class DateContentRow extends React.Component {
 
     if (renderForMeasure) return this.renderDummy();
 
-    const { levels, first, last, extra } = this.props;
+    // the drag and drop addon passes in the levels it rearranges while dragging
+    const { levels, first, last, extra } = this.props.levels ? this.props : withLevels(this.props);
 
     return (
-      <div className={className}>
+      <div role="row" className={className}>
         <BackgroundCells
           date={date}
+          now={this.props.now}
           rtl={rtl}
+          culture={culture}
+          labelFormat={labelFormat}
           range={range}
           selectable={selectable}
           container={this.getContainer}
@@ -186,6 +221,15 @@ class DateContentRow extends React.Component {
           cellWrapperComponent={dateCellWrapper}
           longPressThreshold={longPressThreshold}
           onNavigate={onNavigate}
+          onFocusSlot={onFocusSlot}
+          renderSelectionPreview={renderSelectionPreview}
+          dragPreviews={dragPreviews}
+          renderDragPreview={this.renderDragPreview}
+          backgroundEvents={backgroundEvents}
+          businessHours={businessHours}
+          startAccessor={startAccessor}
+          endAccessor={endAccessor}
+          eventPropGetter={props.eventPropGetter}
           isArrowNavigated={isArrowNavigated}
           calendarId={calendarId}
           activeCalendar={activeCalendar}
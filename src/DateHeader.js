@@ -7,9 +7,9 @@ const DateHeader = ({ label, drilldownView, onDrillDown }) => {
   }
 
   return (
-    <a href="#" onClick={onDrillDown}>
+    <button type="button" tabIndex={-1} className="rbc-button-link" onClick={onDrillDown}>
       {label}
-    </a>
+    </button>
   );
 };
 
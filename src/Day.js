@@ -14,7 +14,7 @@ class Day extends React.Component {
   render() {
     let { date, ...props } = this.props;
 
-    return <TimeGrid {...props} range={[dates.startOf(date, 'day')]} eventOffset={10} />;
+    return <TimeGrid {...props} range={Day.range(date)} eventOffset={10} />;
   }
 }
 
@@ -31,6 +31,8 @@ Day.navigate = (date, action) => {
   }
 };
 
+Day.range = date => [dates.startOf(date, 'day')];
+
 Day.title = (date, { formats, culture }) =>
   localizer.format(date, formats.dayHeaderFormat, culture);
 
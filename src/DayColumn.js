@@ -2,6 +2,8 @@ import PropTypes from 'prop-types';
 import React from 'react';
 import { findDOMNode } from 'react-dom';
 import cn from 'classnames';
+import matches from 'dom-helpers/query/matches';
+import qsa from 'dom-helpers/query/querySelectorAll';
 
 import Selection, { getBoundsForNode, isEvent } from './Selection';
 import dates from './utils/dates';
@@ -9,12 +11,13 @@ import { isSelected } from './utils/selection';
 import localizer from './localizer';
 
 import { notify } from './utils/helpers';
-import { accessor, elementType, dateFormat } from './utils/propTypes';
+import { accessor, elementType, dateFormat, dragPreviews } from './utils/propTypes';
 import { accessor as get } from './utils/accessors';
 
 import getStyledEvents, { positionFromDate, startsBefore } from './utils/dayViewLayout';
 
 import TimeColumn from './TimeColumn';
+import SelectionPreview from './SelectionPreview';
 
 function snapToSlot(date, step) {
   var roundTo = 1000 * 60 * step;
@@ -28,6 +31,7 @@ function startsAfter(date, max) {
 class DayColumn extends React.Component {
   static propTypes = {
     events: PropTypes.array.isRequired,
+    backgroundEvents: PropTypes.array,
     step: PropTypes.number.isRequired,
     min: PropTypes.instanceOf(Date).isRequired,
     max: PropTypes.instanceOf(Date).isRequired,
@@ -40,6 +44,7 @@ class DayColumn extends React.Component {
     endAccessor: accessor.isRequired,
 
     selectRangeFormat: dateFormat,
+    dayHeaderFormat: dateFormat,
     eventTimeRangeFormat: dateFormat,
     eventTimeRangeStartFormat: dateFormat,
     eventTimeRangeEndFormat: dateFormat,
@@ -52,12 +57,16 @@ class DayColumn extends React.Component {
     selectedList: PropTypes.array,
     selectable: PropTypes.oneOf([true, false, 'ignoreEvents']),
     eventOffset: PropTypes.number,
+    resource: PropTypes.any,
+    resourceTitle: PropTypes.string,
     longPressThreshold: PropTypes.number,
 
     onSelecting: PropTypes.func,
     onSelectSlot: PropTypes.func.isRequired,
     onSelectEvent: PropTypes.func.isRequired,
     onDoubleClickEvent: PropTypes.func.isRequired,
+    onCreateEvent: PropTypes.func,
+    onFocusSlot: PropTypes.func,
 
     className: PropTypes.string,
     dragThroughEvents: PropTypes.bool,
@@ -65,6 +74,8 @@ class DayColumn extends React.Component {
     dayWrapperComponent: elementType,
     eventComponent: elementType,
     eventWrapperComponent: elementType.isRequired,
+    components: PropTypes.object,
+    dragPreviews,
   };
 
   static defaultProps = {
@@ -88,7 +99,17 @@ class DayColumn extends React.Component {
   }
 
   render() {
-    const { min, max, step, now, selectRangeFormat, culture, ...props } = this.props;
+    const {
+      min,
+      max,
+      step,
+      now,
+      selectRangeFormat,
+      dayHeaderFormat,
+      culture,
+      resourceTitle,
+      ...props
+    } = this.props;
 
     this._totalMin = dates.diff(min, max, 'minutes');
     let { selecting, startSlot, endSlot } = this.state;
@@ -102,23 +123,67 @@ class DayColumn extends React.Component {
     return (
       <TimeColumn
         {...props}
-        className={cn('rbc-day-slot', dates.isToday(max) && 'rbc-today')}
+        className={cn('rbc-day-slot', dates.eq(max, now, 'day') && 'rbc-today')}
         now={now}
         min={min}
         max={max}
         step={step}
+        label={[localizer.format(min, dayHeaderFormat, culture), resourceTitle]
+          .filter(Boolean)
+          .join(', ')}
+        onKeyDown={this.handleKeyDown}
+        onFocus={this.handleFocus}
       >
+        {this.props.backgroundEvents && this.renderBackgroundEvents()}
+
         {this.renderEvents()}
 
-        {selecting && (
-          <div className="rbc-slot-selection" style={style}>
-            <span>{localizer.format(selectDates, selectRangeFormat, culture)}</span>
-          </div>
-        )}
+        {this.props.dragPreviews && this.renderDragPreviews()}
+
+        {selecting &&
+          (this.props.onCreateEvent ? (
+            this.renderSelectionPreview(
+              style,
+              localizer.format(selectDates, selectRangeFormat, culture),
+            )
+          ) : (
+            <div className="rbc-slot-selection" style={style}>
+              <span>{localizer.format(selectDates, selectRangeFormat, culture)}</span>
+            </div>
+          ))}
       </TimeColumn>
     );
   }
 
+  // background events span the whole column behind the events, they take no part in the
+  // layout and can't be clicked or selected
+  renderBackgroundEvents() {
+    let { backgroundEvents, min, max, startAccessor, endAccessor, eventPropGetter } = this.props;
+
+    return backgroundEvents.map((event, idx) => {
+      let start = get(event, startAccessor);
+      let end = get(event, endAccessor);
+
+      if (!dates.lt(start, max) || !dates.gt(end, min)) return null;
+
+      let startSlot = dates.lt(start, min) ? 0 : positionFromDate(start, min, this._totalMin);
+      let endSlot = dates.gt(end, max)
+        ? this._totalMin
+        : positionFromDate(end, min, this._totalMin);
+
+      if (eventPropGetter) var { style, className } = eventPropGetter(event, start, end, false);
+
+      return (
+        <div
+          key={'bg_' + idx}
+          aria-hidden="true"
+          style={{ ...style, ...this._slotStyle(startSlot, endSlot) }}
+          className={cn('rbc-background-event', className)}
+        />
+      );
+    });
+  }
+
   renderEvents = () => {
     let {
       events,
@@ -189,9 +254,11 @@ class DayColumn extends React.Component {
       let _isSelected = isSelected(event, selected);
 
       if (selectedList.length) {
-        _isSelected = selectedList.some(evt => evt.id === event.data.id);
+        _isSelected = selectedList.some(evt => evt.id === event.id);
       }
 
+      let description = (typeof label === 'string' ? label + ': ' : '') + title;
+
       if (eventPropGetter)
         var { style: xStyle, className } = eventPropGetter(event, start, end, _isSelected);
 
@@ -207,7 +274,11 @@ class DayColumn extends React.Component {
               [isRtl ? 'right' : 'left']: `${Math.max(0, xOffset)}%`,
               width: `${width}%`,
             }}
-            title={(typeof label === 'string' ? label + ': ' : '') + title}
+            role="button"
+            tabIndex={-1}
+            aria-label={description}
+            aria-pressed={_isSelected}
+            title={description}
             onClick={e => this._select(event, e)}
             onDoubleClick={e => this._doubleClick(event, e)}
             className={cn('rbc-event', className, {
@@ -228,6 +299,92 @@ class DayColumn extends React.Component {
     });
   };
 
+  handleFocus = ({ target }) => {
+    let { min, step, onFocusSlot } = this.props;
+
+    if (!matches(target, '.rbc-time-slot')) return;
+
+    let slots = qsa(findDOMNode(this), '.rbc-time-slot');
+
+    notify(onFocusSlot, [dates.add(min, slots.indexOf(target) * step, 'minutes')]);
+  };
+
+  handleKeyDown = e => {
+    let { target } = e;
+    let { min, max, step, selectable } = this.props;
+
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+
+    if (matches(target, '.rbc-event')) {
+      e.preventDefault();
+      target.click();
+      return;
+    }
+
+    // Enter and Space select a time slot, like a click on it
+    if (!selectable || !matches(target, '.rbc-time-slot')) return;
+
+    let slots = qsa(findDOMNode(this), '.rbc-time-slot');
+    let startDate = dates.add(min, slots.indexOf(target) * step, 'minutes');
+
+    e.preventDefault();
+    this._selectSlot({
+      startDate,
+      endDate: dates.min(max, dates.add(startDate, step, 'minutes')),
+      action: 'click',
+    });
+  };
+
+  renderSelectionPreview(style, label) {
+    let { components = {}, eventComponent, eventPropGetter, messages, resource } = this.props;
+    let { startDate: start, endDate: end } = this.state;
+    let Preview = components.selectionPreview || SelectionPreview;
+
+    return (
+      <Preview
+        event={{ title: messages.newEvent, start, end, allDay: false, resourceId: resource }}
+        label={label}
+        style={style}
+        eventComponent={eventComponent}
+        eventPropGetter={eventPropGetter}
+      />
+    );
+  }
+
+  renderDragPreviews() {
+    let {
+      dragPreviews,
+      min,
+      max,
+      culture,
+      titleAccessor,
+      eventTimeRangeFormat,
+      eventComponent,
+      eventPropGetter,
+    } = this.props;
+
+    return dragPreviews
+      .filter(({ start, end }) => dates.lt(start, max) && dates.gt(end, min))
+      .map(({ event, start, end, className }, idx) => {
+        let startSlot = dates.lt(start, min) ? 0 : positionFromDate(start, min, this._totalMin);
+        let endSlot = dates.gt(end, max)
+          ? this._totalMin
+          : positionFromDate(end, min, this._totalMin);
+
+        return (
+          <SelectionPreview
+            key={idx}
+            className={cn('rbc-drag-preview', className)}
+            event={{ ...event, title: get(event, titleAccessor), start, end }}
+            label={localizer.format({ start, end }, eventTimeRangeFormat, culture)}
+            style={this._slotStyle(startSlot, endSlot)}
+            eventComponent={eventComponent}
+            eventPropGetter={eventPropGetter}
+          />
+        );
+      });
+  }
+
   _slotStyle = (startSlot, endSlot) => {
     let top = startSlot / this._totalMin * 100;
     let bottom = endSlot / this._totalMin * 100;
@@ -254,7 +411,7 @@ class DayColumn extends React.Component {
         if (
           (dates.eq(current.startDate, start, 'minutes') &&
             dates.eq(current.endDate, end, 'minutes')) ||
-          onSelecting({ start, end }) === false
+          onSelecting({ start, end, resourceId: this.props.resource }) === false
         )
           return;
       }
@@ -310,8 +467,17 @@ class DayColumn extends React.Component {
 
     selector.on('select', () => {
       if (this.state.selecting) {
+        let { startDate: start, endDate: end } = this.state;
+
         this._selectSlot({ ...this.state, action: 'select' });
         this.setState({ selecting: false });
+
+        notify(this.props.onCreateEvent, {
+          start,
+          end,
+          allDay: false,
+          resourceId: this.props.resource,
+        });
       }
     });
   };
@@ -336,6 +502,7 @@ class DayColumn extends React.Component {
       start: startDate,
       end: endDate,
       action,
+      resourceId: this.props.resource,
     });
   };
 
@@ -0,0 +1,10 @@
+import React from 'react';
+import DayColumn from './DayColumn';
+
+class DayColumnWrapper extends React.Component {
+  render() {
+    return <DayColumn {...this.props} />;
+  }
+}
+
+export default DayColumnWrapper;
@@ -0,0 +1,82 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import dates from './utils/dates';
+import localizer from './localizer';
+import { navigate } from './utils/constants';
+import TimeGrid from './TimeGrid';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// the days since a first day of the week long ago (1970-01-04 was a Sunday), so that every
+// date counts its page from the same day
+function daysSinceWeekStart(date, firstOfWeek) {
+  let days = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY;
+
+  return days - 3 - firstOfWeek;
+}
+
+class Days extends React.Component {
+  static propTypes = {
+    date: PropTypes.instanceOf(Date).isRequired,
+    dayCount: PropTypes.number,
+    dayCountAlignment: PropTypes.oneOf(['day', 'week']),
+  };
+
+  static defaultProps = {
+    ...TimeGrid.defaultProps,
+    dayCount: 3,
+    dayCountAlignment: 'day',
+  };
+
+  render() {
+    let { date, dayCount, dayCountAlignment, ...props } = this.props;
+    let range = Days.range(date, this.props);
+
+    return <TimeGrid {...props} range={range} eventOffset={15} />;
+  }
+}
+
+Days.navigate = (date, action, { dayCount = Days.defaultProps.dayCount }) => {
+  switch (action) {
+    case navigate.PREVIOUS:
+      return dates.add(date, -dayCount, 'day');
+
+    case navigate.NEXT:
+      return dates.add(date, dayCount, 'day');
+
+    default:
+      return date;
+  }
+};
+
+Days.range = (
+  date,
+  {
+    culture,
+    dayCount = Days.defaultProps.dayCount,
+    dayCountAlignment = Days.defaultProps.dayCountAlignment,
+  },
+) => {
+  let start = dates.startOf(date, 'day');
+
+  // pages of `dayCount` days follow on from each other, starting on the first day of a
+  // week every so often, and always hold `date`
+  if (dayCountAlignment === 'week') {
+    let offset = daysSinceWeekStart(date, localizer.startOfWeek(culture)) % dayCount;
+
+    start = dates.add(start, -(offset < 0 ? offset + dayCount : offset), 'day');
+  }
+
+  return dates.range(start, dates.add(start, dayCount - 1, 'day'));
+};
+
+Days.title = (date, { formats, culture, ...props }) => {
+  let [start, ...rest] = Days.range(date, { culture, ...props });
+
+  if (!rest.length) return localizer.format(start, formats.dayHeaderFormat, culture);
+
+  return localizer.format({ start, end: rest.pop() }, formats.dayRangeHeaderFormat, culture);
+};
+
+export default Days;
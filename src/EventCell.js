@@ -95,6 +95,15 @@ class EventCell extends React.Component {
     }
   };
 
+  handleKeyDown = e => {
+    const { onSelect, event: { data: event } } = this.props;
+    // keys typed while editing the title bubble up from the input
+    if (e.target !== e.currentTarget || (e.key !== 'Enter' && e.key !== ' ')) return;
+
+    e.preventDefault();
+    onSelect(event, e);
+  };
+
   handleMoveCaretToEnd = ({ target }) => {
     const { title } = this.state;
     if (title && target.setSelectionRange) {
@@ -139,7 +148,7 @@ class EventCell extends React.Component {
       var { style, className: xClassName } = eventPropGetter(data, start, end, selected);
 
     return (
-      <EventWrapper event={event}>
+      <EventWrapper event={event} isEditing={this.state.isEditingEventTitle}>
         {/* ContextMenuTrigger needs to be wrapped in a div for dnd purposes - AR Wed Oct 18 09:43:40 EDT 2017 */}
         <div>
           <ContextMenuTrigger
@@ -148,7 +157,10 @@ class EventCell extends React.Component {
             id={RIGHT_CLICK_EVENT}
           >
             <div
-              tabIndex="-1"
+              role="button"
+              tabIndex={-1}
+              aria-label={title}
+              aria-pressed={!!selected}
               style={{ ...props.style, ...style }}
               className={cn('rbc-event', className, xClassName, {
                 'rbc-selected': selected,
@@ -158,6 +170,7 @@ class EventCell extends React.Component {
                 'rbc-event-continues-after': continuesAfter,
               })}
               onClick={e => onSelect(data, e)}
+              onKeyDown={this.handleKeyDown}
               /*onDoubleClick={e => onDoubleClick(event, e)}*/
               onDoubleClick={this.handleEditing}
             >
@@ -82,14 +82,15 @@ class EventEndingRow extends React.Component {
     let count = eventsInSlot(segments, slot);
 
     return count ? (
-      <a
+      <button
         key={'sm_' + slot}
-        href="#"
-        className={'rbc-show-more'}
+        type="button"
+        tabIndex={-1}
+        className={'rbc-show-more rbc-button-link'}
         onClick={e => this.showMore(slot, e)}
       >
         {messages.showMore(count)}
-      </a>
+      </button>
     ) : (
       false
     );
@@ -6,10 +6,11 @@ import cn from 'classnames';
 import dates from './utils/dates';
 import localizer from './localizer';
 import chunk from 'lodash/chunk';
-import Combokeys from 'combokeys';
+import range from 'lodash/range';
 
 import { navigate, views } from './utils/constants';
 import { notify } from './utils/helpers';
+import GridFocus from './utils/gridFocus';
 import getPosition from 'dom-helpers/query/position';
 import raf from 'dom-helpers/util/requestAnimationFrame';
 
@@ -17,16 +18,21 @@ import Popup from './Popup';
 import Overlay from 'react-overlays/lib/Overlay';
 import Header from './Header';
 import DateHeader from './DateHeader';
+import { renderDaysPreview } from './SelectionPreview';
 
-import { accessor, dateFormat } from './utils/propTypes';
-import { segStyle, inRange, sortEvents } from './utils/eventLevels';
+import { accessor, businessHours, dateFormat } from './utils/propTypes';
+import { segStyle, inDays, sortEvents } from './utils/eventLevels';
 
-const combokeys = new Combokeys(document.documentElement);
+let eventsForWeek = (evts, week, props) => evts.filter(e => inDays(e, week, props));
 
-let eventsForWeek = (evts, start, end, props) => evts.filter(e => inRange(e, start, end, props));
+let daysPerWeek = (hiddenDays = []) =>
+  range(7).filter(day => hiddenDays.indexOf(day) === -1).length;
 
 let propTypes = {
   events: PropTypes.array.isRequired,
+  hiddenDays: PropTypes.arrayOf(PropTypes.number),
+  backgroundEvents: PropTypes.array,
+  businessHours,
   date: PropTypes.instanceOf(Date),
 
   min: PropTypes.instanceOf(Date),
@@ -40,6 +46,8 @@ let propTypes = {
 
   culture: PropTypes.string,
   dayFormat: dateFormat,
+  dayHeaderFormat: dateFormat,
+  monthHeaderFormat: dateFormat,
 
   rtl: PropTypes.bool,
   width: PropTypes.number,
@@ -55,12 +63,14 @@ let propTypes = {
   longPressThreshold: PropTypes.number,
 
   onNavigate: PropTypes.func,
+  onFocusSlot: PropTypes.func,
   onSelectSlot: PropTypes.func,
   onSelectEvent: PropTypes.func,
   onRightClickSlot: PropTypes.func,
   onDoubleClickEvent: PropTypes.func,
   onShowMore: PropTypes.func,
   onDrillDown: PropTypes.func,
+  onCreateEvent: PropTypes.func,
   getDrilldownView: PropTypes.func.isRequired,
 
   dateFormat,
@@ -111,6 +121,10 @@ class MonthView extends React.Component {
 
     if (this.state.needLimitMeasure) this.measureRowLimit(this.props);
 
+    this._gridFocus = new GridFocus(findDOMNode(this), {
+      initial: ['.rbc-selected-cell-click', '.rbc-day-bg.rbc-today'],
+    });
+
     window.addEventListener(
       'resize',
       (this._resizeListener = () => {
@@ -125,22 +139,6 @@ class MonthView extends React.Component {
       }),
       false,
     );
-
-    combokeys.bind('up', () => {
-      this.props.onNavigate(navigate.PREVIOUS_WEEK);
-    });
-
-    combokeys.bind('down', () => {
-      this.props.onNavigate(navigate.NEXT_WEEK);
-    });
-
-    combokeys.bind('left', () => {
-      this.props.onNavigate(navigate.PREVIOUS_DAY);
-    });
-
-    combokeys.bind('right', () => {
-      this.props.onNavigate(navigate.NEXT_DAY);
-    });
   }
 
   generateId(date) {
@@ -149,10 +147,13 @@ class MonthView extends React.Component {
 
   componentDidUpdate() {
     if (this.state.needLimitMeasure) this.measureRowLimit(this.props);
+
+    this._gridFocus.update();
   }
 
   componentWillUnmount() {
     window.removeEventListener('resize', this._resizeListener, false);
+    this._gridFocus.teardown();
   }
 
   getContainer = () => {
@@ -160,15 +161,19 @@ class MonthView extends React.Component {
   };
 
   render() {
-    let { date, culture, weekdayFormat, className } = this.props,
-      month = dates.visibleDays(date, culture),
-      weeks = chunk(month, 7);
+    let { date, culture, hiddenDays, weekdayFormat, monthHeaderFormat, className } = this.props,
+      month = dates.visibleDays(date, culture, hiddenDays),
+      weeks = chunk(month, daysPerWeek(hiddenDays));
 
     this._weekCount = weeks.length;
 
     return (
-      <div className={cn('rbc-month-view', className)}>
-        <div className="rbc-row rbc-month-header">
+      <div
+        role="grid"
+        aria-label={localizer.format(date, monthHeaderFormat, culture)}
+        className={cn('rbc-month-view', className)}
+      >
+        <div role="row" className="rbc-row rbc-month-header">
           {this.renderHeaders(weeks[0], weekdayFormat, culture)}
         </div>
         {weeks.map((week, idx) => this.renderWeek(week, idx))}
@@ -180,6 +185,8 @@ class MonthView extends React.Component {
   renderWeek = (week, weekIdx) => {
     let {
       events,
+      backgroundEvents,
+      businessHours,
       components,
       selectable,
       titleAccessor,
@@ -195,13 +202,16 @@ class MonthView extends React.Component {
       longPressThreshold,
       eventsSorter,
       onNavigate,
+      onFocusSlot,
       activeCalendar,
       calendarId,
+      culture,
+      dayHeaderFormat,
     } = this.props;
 
     const { needLimitMeasure, rowLimit } = this.state;
 
-    events = eventsForWeek(events, week[0], week[week.length - 1], this.props);
+    events = eventsForWeek(events, week, this.props);
     events.sort((a, b) => {
       let fn = eventsSorter || sortEvents;
       return fn(a, b, this.props);
@@ -212,8 +222,11 @@ class MonthView extends React.Component {
     return (
       <DateContentRowWrapper
         allDayAccessor={allDayAccessor}
+        backgroundEvents={backgroundEvents && eventsForWeek(backgroundEvents, week, this.props)}
+        businessHours={businessHours}
         className={cn('rbc-month-row', { 'rbc-show-all-events': this.props.showAllEvents })}
         container={this.getContainer}
+        culture={culture}
         date={date}
         dateCellWrapper={components.dateCellWrapper}
         dateContentRowWrapper={components.dateContentRowWrapper}
@@ -222,6 +235,7 @@ class MonthView extends React.Component {
         eventPropGetter={eventPropGetter}
         events={events}
         key={weekIdx}
+        labelFormat={dayHeaderFormat}
         level={weekIdx}
         eventWrapperComponent={components.eventWrapper}
         longPressThreshold={longPressThreshold}
@@ -238,12 +252,14 @@ class MonthView extends React.Component {
         ref={weekIdx === 0 ? 'slotRow' : undefined}
         renderForMeasure={needLimitMeasure}
         renderHeader={this.readerDateHeading}
+        renderSelectionPreview={this.props.onCreateEvent && this.renderSelectionPreview}
         selectable={selectable}
         selected={selected}
         selectedList={selectedList}
         startAccessor={startAccessor}
         titleAccessor={titleAccessor}
         onNavigate={onNavigate}
+        onFocusSlot={onFocusSlot}
         activeCalendar={activeCalendar}
         calendarId={calendarId}
       />
@@ -275,13 +291,18 @@ class MonthView extends React.Component {
     );
   };
 
+  renderSelectionPreview = preview => renderDaysPreview(preview, this.props);
+
   renderHeaders(row, format, culture) {
-    let first = row[0];
-    let last = row[row.length - 1];
     let HeaderComponent = this.props.components.header || Header;
 
-    return dates.range(first, last, 'day').map((day, idx) => (
-      <div key={'header_' + idx} className="rbc-header" style={segStyle(1, 7)}>
+    return row.map((day, idx) => (
+      <div
+        key={'header_' + idx}
+        role="columnheader"
+        className="rbc-header"
+        style={segStyle(1, row.length)}
+      >
         <HeaderComponent
           date={day}
           label={localizer.format(day, format, culture)}
@@ -387,6 +408,14 @@ class MonthView extends React.Component {
       end: slots[slots.length - 1],
       action: slotInfo.action,
     });
+
+    if (slotInfo.action === 'select') {
+      notify(this.props.onCreateEvent, {
+        start: slots[0],
+        end: dates.add(slots[slots.length - 1], 1, 'day'),
+        allDay: true,
+      });
+    }
   }
 
   rightClickDates(slotInfo) {
@@ -418,23 +447,13 @@ MonthView.navigate = (date, action) => {
     case navigate.NEXT:
       return dates.add(date, 1, 'month');
 
-    case navigate.NEXT_DAY:
-      return dates.add(date, 1, 'day');
-
-    case navigate.PREVIOUS_DAY:
-      return dates.add(date, -1, 'day');
-
-    case navigate.NEXT_WEEK:
-      return dates.add(date, 7, 'day');
-
-    case navigate.PREVIOUS_WEEK:
-      return dates.add(date, -7, 'day');
-
     default:
       return date;
   }
 };
 
+MonthView.range = (date, { culture, hiddenDays }) => dates.visibleDays(date, culture, hiddenDays);
+
 MonthView.title = (date, { formats, culture }) =>
   localizer.format(date, formats.monthHeaderFormat, culture);
 
@@ -0,0 +1,67 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import cn from 'classnames';
+
+import dates from './utils/dates';
+import { elementType } from './utils/propTypes';
+
+const SelectionPreview = ({
+  event,
+  label,
+  style,
+  className,
+  eventComponent: Event,
+  eventPropGetter,
+}) => {
+  let { style: xStyle, className: xClassName } =
+    (eventPropGetter && eventPropGetter(event, event.start, event.end, false)) || {};
+
+  return (
+    <div
+      style={{ ...style, ...xStyle }}
+      className={cn('rbc-event', 'rbc-selection-preview', className, xClassName)}
+    >
+      {label && <div className="rbc-event-label">{label}</div>}
+      <div className="rbc-event-content">
+        {Event ? <Event event={event} title={event.title} /> : event.title}
+      </div>
+    </div>
+  );
+};
+
+SelectionPreview.propTypes = {
+  event: PropTypes.shape({
+    title: PropTypes.node,
+    start: PropTypes.instanceOf(Date),
+    end: PropTypes.instanceOf(Date),
+    allDay: PropTypes.bool,
+    resourceId: PropTypes.any,
+  }).isRequired,
+  label: PropTypes.node,
+  style: PropTypes.object,
+  className: PropTypes.string,
+  eventComponent: elementType,
+  eventPropGetter: PropTypes.func,
+};
+
+/**
+ * Renders the preview of a selection of whole days, as the month view and the all day row of
+ * the time grid draw it, with the `components`, `eventPropGetter` and `messages` of the view.
+ */
+export function renderDaysPreview(
+  { start, end, style },
+  { components, eventPropGetter, messages },
+) {
+  let Preview = components.selectionPreview || SelectionPreview;
+
+  return (
+    <Preview
+      event={{ title: messages.newEvent, start, end: dates.add(end, 1, 'day'), allDay: true }}
+      style={style}
+      eventComponent={components.event}
+      eventPropGetter={eventPropGetter}
+    />
+  );
+}
+
+export default SelectionPreview;
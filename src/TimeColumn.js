@@ -3,7 +3,7 @@ import React, { Component } from 'react';
 import cn from 'classnames';
 
 import dates from './utils/dates';
-import { elementType, dateFormat } from './utils/propTypes';
+import { elementType, dateFormat, businessHours } from './utils/propTypes';
 import BackgroundWrapper from './BackgroundWrapper';
 import TimeSlotGroup from './TimeSlotGroup';
 
@@ -19,8 +19,13 @@ export default class TimeColumn extends Component {
     timeGutterFormat: dateFormat,
     type: PropTypes.string.isRequired,
     className: PropTypes.string,
+    label: PropTypes.string,
+    onKeyDown: PropTypes.func,
+    onFocus: PropTypes.func,
+    resource: PropTypes.any,
 
     slotPropGetter: PropTypes.func,
+    businessHours,
     dayWrapperComponent: elementType,
   };
   static defaultProps = {
@@ -39,8 +44,10 @@ export default class TimeColumn extends Component {
       showLabels,
       step,
       slotPropGetter,
+      businessHours,
       timeGutterFormat,
       culture,
+      resource,
     } = this.props;
 
     return (
@@ -50,17 +57,32 @@ export default class TimeColumn extends Component {
         value={date}
         step={step}
         slotPropGetter={slotPropGetter}
+        businessHours={businessHours}
         culture={culture}
         timeslots={timeslots}
         showLabels={showLabels}
         timeGutterFormat={timeGutterFormat}
         dayWrapperComponent={dayWrapperComponent}
+        resource={resource}
       />
     );
   }
 
   render() {
-    const { className, children, style, now, min, max, step, timeslots } = this.props;
+    const {
+      className,
+      children,
+      style,
+      now,
+      min,
+      max,
+      step,
+      timeslots,
+      showLabels,
+      label,
+      onKeyDown,
+      onFocus,
+    } = this.props;
     const totalMin = dates.diff(min, max, 'minutes');
     const numGroups = Math.ceil(totalMin / (step * timeslots));
     const renderedSlots = [];
@@ -85,7 +107,15 @@ export default class TimeColumn extends Component {
     }
 
     return (
-      <div className={cn(className, 'rbc-time-column')} style={style}>
+      <div
+        role={showLabels ? undefined : 'row'}
+        aria-hidden={showLabels || undefined}
+        aria-label={label}
+        className={cn(className, 'rbc-time-column')}
+        style={style}
+        onKeyDown={onKeyDown}
+        onFocus={onFocus}
+      >
         {renderedSlots}
         {children}
       </div>
@@ -9,6 +9,7 @@ import DayColumn from './DayColumn';
 import TimeColumn from './TimeColumn';
 import DateContentRow from './DateContentRow';
 import Header from './Header';
+import { renderDaysPreview } from './SelectionPreview';
 
 import getWidth from 'dom-helpers/query/width';
 import scrollbarSize from 'dom-helpers/util/scrollbarSize';
@@ -17,24 +18,29 @@ import message from './utils/messages';
 import { accessor, dateFormat } from './utils/propTypes';
 
 import { notify } from './utils/helpers';
+import GridFocus from './utils/gridFocus';
 
 import { accessor as get } from './utils/accessors';
 
-import { inRange, sortEvents, segStyle } from './utils/eventLevels';
+import { inDays, sortEvents, segStyle } from './utils/eventLevels';
 
 export default class TimeGrid extends Component {
   static propTypes = {
     events: PropTypes.array.isRequired,
+    backgroundEvents: PropTypes.array,
 
     step: PropTypes.number,
     range: PropTypes.arrayOf(PropTypes.instanceOf(Date)),
     min: PropTypes.instanceOf(Date),
     max: PropTypes.instanceOf(Date),
     now: PropTypes.instanceOf(Date),
+    getNow: PropTypes.func,
 
     scrollToTime: PropTypes.instanceOf(Date),
     eventPropGetter: PropTypes.func,
     dayFormat: dateFormat,
+    dayHeaderFormat: dateFormat,
+    dayRangeHeaderFormat: dateFormat,
     showMultiDayTimes: PropTypes.bool,
     culture: PropTypes.string,
 
@@ -46,17 +52,24 @@ export default class TimeGrid extends Component {
     startAccessor: accessor.isRequired,
     endAccessor: accessor.isRequired,
 
+    resources: PropTypes.arrayOf(PropTypes.object),
+    resourceAccessor: accessor,
+    resourceIdAccessor: accessor,
+    resourceTitleAccessor: accessor,
+
     selected: PropTypes.object,
     selectable: PropTypes.oneOf([true, false, 'ignoreEvents']),
     longPressThreshold: PropTypes.number,
 
     onNavigate: PropTypes.func,
+    onFocusSlot: PropTypes.func,
     onSelectSlot: PropTypes.func,
     onSelectEnd: PropTypes.func,
     onSelectStart: PropTypes.func,
     onSelectEvent: PropTypes.func,
     onDoubleClickEvent: PropTypes.func,
     onDrillDown: PropTypes.func,
+    onCreateEvent: PropTypes.func,
     getDrilldownView: PropTypes.func.isRequired,
 
     messages: PropTypes.object,
@@ -73,6 +86,10 @@ export default class TimeGrid extends Component {
      */
     type: 'gutter',
     now: new Date(),
+    getNow: () => new Date(),
+    resourceAccessor: 'resourceId',
+    resourceIdAccessor: 'id',
+    resourceTitleAccessor: 'title',
   };
 
   constructor(props) {
@@ -98,10 +115,15 @@ export default class TimeGrid extends Component {
 
     this.positionTimeIndicator();
     this.triggerTimeIndicatorUpdate();
+
+    this._gridFocus = new GridFocus(findDOMNode(this), {
+      initial: ['.rbc-time-slot.rbc-now', '.rbc-day-slot.rbc-today [role="gridcell"]'],
+    });
   }
 
   componentWillUnmount() {
     window.clearTimeout(this._timeIndicatorTimeout);
+    this._gridFocus.teardown();
   }
 
   componentDidUpdate() {
@@ -112,6 +134,8 @@ export default class TimeGrid extends Component {
     this.applyScroll();
     this.positionTimeIndicator();
     //this.checkOverflow()
+
+    this._gridFocus.update();
   }
 
   componentWillReceiveProps(nextProps) {
@@ -126,15 +150,37 @@ export default class TimeGrid extends Component {
   }
 
   handleSelectAllDaySlot = (slots, slotInfo) => {
-    const { onSelectSlot } = this.props;
+    const { onSelectSlot, onCreateEvent } = this.props;
     notify(onSelectSlot, {
       slots,
       start: slots[0],
       end: slots[slots.length - 1],
       action: slotInfo.action,
     });
+
+    if (slotInfo.action === 'select') {
+      notify(onCreateEvent, {
+        start: slots[0],
+        end: dates.add(slots[slots.length - 1], 1, 'day'),
+        allDay: true,
+      });
+    }
   };
 
+  renderSelectionPreview = preview => renderDaysPreview(preview, this.props);
+
+  getResources() {
+    const { resources, resourceIdAccessor, resourceTitleAccessor } = this.props;
+
+    if (!resources || !resources.length) return null;
+
+    return resources.map(resource => ({
+      id: get(resource, resourceIdAccessor),
+      title: get(resource, resourceTitleAccessor),
+      resource,
+    }));
+  }
+
   render() {
     let {
       events,
@@ -148,16 +194,15 @@ export default class TimeGrid extends Component {
 
     width = width || this.state.gutterWidth;
 
-    let start = range[0],
-      end = range[range.length - 1];
-
     this.slots = range.length;
+    this.resources = this.getResources();
+    this.columns = this.slots * (this.resources ? this.resources.length : 1);
 
     let allDayEvents = [],
       rangeEvents = [];
 
     events.forEach(event => {
-      if (inRange(event, start, end, this.props)) {
+      if (inDays(event, range, this.props)) {
         let eStart = get(event, startAccessor),
           eEnd = get(event, endAccessor);
 
@@ -178,7 +223,7 @@ export default class TimeGrid extends Component {
     let gutterRef = ref => (this._gutters[1] = ref && findDOMNode(ref));
 
     return (
-      <div className="rbc-time-view">
+      <div role="grid" aria-label={this.getLabel()} className="rbc-time-view">
         {this.renderHeader(range, allDayEvents, width)}
 
         <div ref="content" className="rbc-time-content">
@@ -198,34 +243,78 @@ export default class TimeGrid extends Component {
     );
   }
 
+  getLabel() {
+    let { range, culture, dayHeaderFormat, dayRangeHeaderFormat } = this.props;
+
+    if (range.length === 1) return localizer.format(range[0], dayHeaderFormat, culture);
+
+    return localizer.format(
+      { start: range[0], end: range[range.length - 1] },
+      dayRangeHeaderFormat,
+      culture,
+    );
+  }
+
   renderEvents(range, events, today) {
-    let { min, max, endAccessor, startAccessor, components } = this.props;
+    let { endAccessor, startAccessor, resourceAccessor, backgroundEvents } = this.props;
+    let resources = this.resources;
 
-    return range.map((date, idx) => {
+    return range.reduce((columns, date, idx) => {
       let daysEvents = events.filter(event =>
         dates.inRange(date, get(event, startAccessor), get(event, endAccessor), 'day'),
       );
 
-      return (
-        <DayColumn
-          {...this.props}
-          min={dates.merge(date, min)}
-          max={dates.merge(date, max)}
-          eventComponent={components.event}
-          eventWrapperComponent={components.eventWrapper}
-          dayWrapperComponent={components.dayWrapper}
-          className={cn({ 'rbc-now': dates.eq(date, today, 'day') })}
-          style={segStyle(1, this.slots)}
-          key={idx}
-          date={date}
-          events={daysEvents}
-        />
+      if (!resources)
+        return columns.concat(
+          this.renderDayColumn(date, daysEvents, idx, today, undefined, backgroundEvents),
+        );
+
+      return columns.concat(
+        resources.map(({ id, title }, resourceIdx) =>
+          this.renderDayColumn(
+            date,
+            daysEvents.filter(event => get(event, resourceAccessor) === id),
+            idx + '_' + resourceIdx,
+            today,
+            { id, title },
+            // background events without a resource shade every resource
+            backgroundEvents &&
+              backgroundEvents.filter(event => {
+                let resourceId = get(event, resourceAccessor);
+                return resourceId == null || resourceId === id;
+              }),
+          ),
+        ),
       );
-    });
+    }, []);
+  }
+
+  renderDayColumn(date, events, key, today, resource = {}, backgroundEvents) {
+    let { min, max, components } = this.props;
+    let DayColumnWrapper = components.dayColumnWrapper || DayColumn;
+
+    return (
+      <DayColumnWrapper
+        {...this.props}
+        min={dates.merge(date, min)}
+        max={dates.merge(date, max)}
+        eventComponent={components.event}
+        eventWrapperComponent={components.eventWrapper}
+        dayWrapperComponent={components.dayWrapper}
+        className={cn({ 'rbc-now': dates.eq(date, today, 'day') })}
+        style={segStyle(1, this.columns)}
+        key={key}
+        date={date}
+        events={events}
+        backgroundEvents={backgroundEvents}
+        resource={resource.id}
+        resourceTitle={resource.title}
+      />
+    );
   }
 
   renderHeader(range, events, width) {
-    let { messages, rtl, selectable, components, now } = this.props;
+    let { messages, rtl, selectable, components, now, culture, dayHeaderFormat } = this.props;
     let { isOverflowing } = this.state || {};
 
     let style = {};
@@ -237,10 +326,18 @@ export default class TimeGrid extends Component {
         className={cn('rbc-time-header', isOverflowing && 'rbc-overflowing')}
         style={style}
       >
+        {/* each day column is a row of the grid, named after its day and resource, so the
+            headers above them name no columns */}
         <div className="rbc-row">
-          <div className="rbc-label rbc-header-gutter" style={{ width }} />
+          <div aria-hidden className="rbc-label rbc-header-gutter" style={{ width }} />
           {this.renderHeaderCells(range)}
         </div>
+        {this.resources && (
+          <div className="rbc-row rbc-row-resource">
+            <div aria-hidden className="rbc-label rbc-header-gutter" style={{ width }} />
+            {this.renderResourceCells(range)}
+          </div>
+        )}
         <div className="rbc-row">
           <div
             ref={ref => (this._gutters[0] = ref)}
@@ -254,10 +351,14 @@ export default class TimeGrid extends Component {
             minRows={2}
             range={range}
             rtl={this.props.rtl}
+            culture={culture}
+            labelFormat={dayHeaderFormat}
             events={events}
             className="rbc-allday-cell"
             selectable={selectable}
             onSelectSlot={this.handleSelectAllDaySlot}
+            onFocusSlot={this.props.onFocusSlot}
+            renderSelectionPreview={this.props.onCreateEvent && this.renderSelectionPreview}
             dateCellWrapper={components.dateCellWrapper}
             eventComponent={this.props.components.event}
             eventWrapperComponent={this.props.components.eventWrapper}
@@ -277,7 +378,7 @@ export default class TimeGrid extends Component {
   }
 
   renderHeaderCells(range) {
-    let { dayFormat, culture, components, getDrilldownView } = this.props;
+    let { dayFormat, culture, components, getDrilldownView, now } = this.props;
     let HeaderComponent = components.header || Header;
 
     return range.map((date, i) => {
@@ -297,13 +398,18 @@ export default class TimeGrid extends Component {
       return (
         <div
           key={i}
-          className={cn('rbc-header', dates.isToday(date) && 'rbc-today')}
+          className={cn('rbc-header', dates.eq(date, now, 'day') && 'rbc-today')}
           style={segStyle(1, this.slots)}
         >
           {drilldownView ? (
-            <a href="#" onClick={e => this.handleHeaderClick(date, drilldownView, e)}>
+            <button
+              type="button"
+              tabIndex={-1}
+              className="rbc-button-link"
+              onClick={e => this.handleHeaderClick(date, drilldownView, e)}
+            >
               {header}
-            </a>
+            </button>
           ) : (
             <span>{header}</span>
           )}
@@ -312,6 +418,26 @@ export default class TimeGrid extends Component {
     });
   }
 
+  renderResourceCells(range) {
+    let HeaderComponent = this.props.components.resourceHeader || Header;
+
+    return range.reduce(
+      (cells, date, i) =>
+        cells.concat(
+          this.resources.map(({ id, title, resource }, resourceIdx) => (
+            <div
+              key={i + '_' + resourceIdx}
+              className="rbc-header rbc-resource-header"
+              style={segStyle(1, this.columns)}
+            >
+              <HeaderComponent label={title} date={date} resource={resource} />
+            </div>
+          )),
+        ),
+      [],
+    );
+  }
+
   handleHeaderClick(date, view, e) {
     e.preventDefault();
     notify(this.props.onDrillDown, [date, view]);
@@ -381,8 +507,8 @@ export default class TimeGrid extends Component {
   }
 
   positionTimeIndicator() {
-    const { rtl, min, max } = this.props;
-    const now = new Date();
+    const { rtl, min, max, getNow } = this.props;
+    const now = getNow();
 
     const secondsGrid = dates.diff(max, min, 'seconds');
     const secondsPassed = dates.diff(now, min, 'seconds');
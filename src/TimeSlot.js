@@ -9,9 +9,12 @@ export default class TimeSlot extends Component {
     value: PropTypes.instanceOf(Date).isRequired,
     isNow: PropTypes.bool,
     showLabel: PropTypes.bool,
+    gutter: PropTypes.bool,
     content: PropTypes.string,
     culture: PropTypes.string,
     slotPropGetter: PropTypes.func,
+    outsideBusinessHours: PropTypes.bool,
+    resource: PropTypes.any,
   };
 
   static defaultProps = {
@@ -21,19 +24,23 @@ export default class TimeSlot extends Component {
   };
 
   render() {
-    const { value, slotPropGetter } = this.props;
+    const { value, slotPropGetter, resource, gutter, content } = this.props;
     const Wrapper = this.props.dayWrapperComponent;
     const { className, style } = (slotPropGetter && slotPropGetter(value)) || {};
 
     return (
-      <Wrapper value={value}>
+      <Wrapper value={value} resource={resource}>
         <div
+          role={gutter ? undefined : 'gridcell'}
+          tabIndex={gutter ? undefined : -1}
+          aria-label={gutter ? undefined : content}
           style={style}
           className={cn(
             'rbc-time-slot',
             className,
             this.props.showLabel && 'rbc-label',
             this.props.isNow && 'rbc-now',
+            this.props.outsideBusinessHours && 'rbc-non-business-hours',
           )}
         >
           {this.props.showLabel && <span>{this.props.content}</span>}
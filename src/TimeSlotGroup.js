@@ -3,7 +3,8 @@ import React, { Component } from 'react';
 import TimeSlot from './TimeSlot';
 import date from './utils/dates.js';
 import localizer from './localizer';
-import { elementType, dateFormat } from './utils/propTypes';
+import { elementType, dateFormat, businessHours } from './utils/propTypes';
+import { isBusinessTime } from './utils/businessHours';
 
 export default class TimeSlotGroup extends Component {
   static propTypes = {
@@ -14,8 +15,10 @@ export default class TimeSlotGroup extends Component {
     showLabels: PropTypes.bool,
     isNow: PropTypes.bool,
     slotPropGetter: PropTypes.func,
+    businessHours,
     timeGutterFormat: dateFormat,
     culture: PropTypes.string,
+    resource: PropTypes.any,
   };
   static defaultProps = {
     timeslots: 2,
@@ -25,17 +28,36 @@ export default class TimeSlotGroup extends Component {
   };
 
   renderSlice(slotNumber, content, value) {
-    const { dayWrapperComponent, showLabels, isNow, culture, slotPropGetter } = this.props;
+    const {
+      dayWrapperComponent,
+      showLabels,
+      isNow,
+      culture,
+      slotPropGetter,
+      businessHours,
+      step,
+      resource,
+    } = this.props;
+
+    // the gutter only labels the times
+    let outsideBusinessHours =
+      !showLabels &&
+      !!businessHours &&
+      !isBusinessTime(businessHours, value, date.add(value, step, 'minutes'), resource);
+
     return (
       <TimeSlot
         key={slotNumber}
         slotPropGetter={slotPropGetter}
         dayWrapperComponent={dayWrapperComponent}
         showLabel={showLabels && !slotNumber}
+        gutter={showLabels}
         content={content}
         culture={culture}
         isNow={isNow}
         value={value}
+        resource={resource}
+        outsideBusinessHours={outsideBusinessHours}
       />
     );
   }
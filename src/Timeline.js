@@ -0,0 +1,332 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import cn from 'classnames';
+import { findDOMNode } from 'react-dom';
+
+import dates from './utils/dates';
+import localizer from './localizer';
+import { navigate } from './utils/constants';
+import { notify } from './utils/helpers';
+import GridFocus from './utils/gridFocus';
+import { accessor, dateFormat, elementType } from './utils/propTypes';
+import { accessor as get } from './utils/accessors';
+import { endOfRange, eventLevels, eventSegments, segStyle, sortEvents } from './utils/eventLevels';
+import BackgroundCells from './BackgroundCells';
+import EventRow from './EventRow';
+import Header from './Header';
+
+// the unit of a single column for each scale
+const SCALE_UNITS = {
+  day: 'hours',
+  week: 'day',
+  month: 'day',
+};
+
+let inSlots = (event, first, last, { startAccessor, endAccessor }) => {
+  let start = get(event, startAccessor);
+  let end = get(event, endAccessor);
+
+  return (
+    dates.lt(start, last) &&
+    (dates.gt(end, first) || (dates.eq(start, end) && dates.gte(start, first)))
+  );
+};
+
+class Timeline extends React.Component {
+  static displayName = 'Timeline';
+
+  static propTypes = {
+    events: PropTypes.array.isRequired,
+    date: PropTypes.instanceOf(Date),
+    now: PropTypes.instanceOf(Date),
+    min: PropTypes.instanceOf(Date),
+    max: PropTypes.instanceOf(Date),
+
+    timelineScale: PropTypes.oneOf(Object.keys(SCALE_UNITS)),
+
+    resources: PropTypes.arrayOf(PropTypes.object),
+    resourceAccessor: accessor,
+    resourceIdAccessor: accessor,
+    resourceTitleAccessor: accessor,
+
+    culture: PropTypes.string,
+    timeGutterFormat: dateFormat,
+    dayFormat: dateFormat,
+    dateFormat,
+
+    rtl: PropTypes.bool,
+    selectable: PropTypes.oneOf([true, false, 'ignoreEvents']),
+    longPressThreshold: PropTypes.number,
+    selected: PropTypes.object,
+    selectedList: PropTypes.array,
+    eventPropGetter: PropTypes.func,
+    eventsSorter: PropTypes.func,
+
+    titleAccessor: accessor.isRequired,
+    allDayAccessor: accessor.isRequired,
+    startAccessor: accessor.isRequired,
+    endAccessor: accessor.isRequired,
+
+    components: PropTypes.shape({
+      event: elementType,
+      eventWrapper: elementType,
+      dayWrapper: elementType,
+      dateCellWrapper: elementType,
+      resourceHeader: elementType,
+    }).isRequired,
+
+    onNavigate: PropTypes.func,
+    onFocusSlot: PropTypes.func,
+    onSelectSlot: PropTypes.func,
+    onRightClickSlot: PropTypes.func,
+    onSelectEvent: PropTypes.func,
+    onDoubleClickEvent: PropTypes.func,
+    onInlineEditEventTitle: PropTypes.func,
+
+    className: PropTypes.string,
+  };
+
+  static defaultProps = {
+    timelineScale: 'week',
+    min: dates.startOf(new Date(), 'day'),
+    max: dates.endOf(new Date(), 'day'),
+    resourceAccessor: 'resourceId',
+    resourceIdAccessor: 'id',
+    resourceTitleAccessor: 'title',
+  };
+
+  componentDidMount() {
+    this._gridFocus = new GridFocus(findDOMNode(this), {
+      initial: ['.rbc-selected-cell-click', '.rbc-day-bg.rbc-today'],
+    });
+  }
+
+  componentDidUpdate() {
+    this._gridFocus.update();
+  }
+
+  componentWillUnmount() {
+    this._gridFocus.teardown();
+  }
+
+  getContainer = () => findDOMNode(this);
+
+  getRows() {
+    const { resources, resourceIdAccessor, resourceTitleAccessor } = this.props;
+
+    // without resources everything goes into a single row
+    if (!resources || !resources.length) return [{ id: undefined, title: '' }];
+
+    return resources.map(resource => ({
+      id: get(resource, resourceIdAccessor),
+      title: get(resource, resourceTitleAccessor),
+      resource,
+    }));
+  }
+
+  render() {
+    let { className, timelineScale } = this.props;
+
+    this.unit = SCALE_UNITS[timelineScale];
+    this.slots = getSlots(this.props);
+    this.rows = this.getRows();
+
+    return (
+      <div role="grid" className={cn('rbc-timeline-view', className)}>
+        <div role="row" className="rbc-timeline-header">
+          <div aria-hidden className="rbc-timeline-resource rbc-header" />
+          <div className="rbc-row rbc-timeline-slots">{this.slots.map(this.renderHeader)}</div>
+        </div>
+        <div className="rbc-timeline-content">{this.rows.map(this.renderRow)}</div>
+      </div>
+    );
+  }
+
+  renderHeader = (date, idx) => {
+    let { now, culture, timeGutterFormat, dayFormat, dateFormat, timelineScale } = this.props;
+    let format = {
+      day: timeGutterFormat,
+      week: dayFormat,
+      month: dateFormat,
+    }[timelineScale];
+
+    return (
+      <div
+        key={idx}
+        role="columnheader"
+        className={cn('rbc-header', this.unit === 'day' && dates.eq(date, now, 'day') && 'rbc-now')}
+        style={segStyle(1, this.slots.length)}
+      >
+        <Header label={localizer.format(date, format, culture)} />
+      </div>
+    );
+  };
+
+  renderRow = ({ id, title, resource }, rowIdx) => {
+    let {
+      events,
+      components,
+      date,
+      now,
+      rtl,
+      selectable,
+      longPressThreshold,
+      selected,
+      selectedList,
+      eventPropGetter,
+      eventsSorter,
+      titleAccessor,
+      allDayAccessor,
+      startAccessor,
+      endAccessor,
+      resourceAccessor,
+      onNavigate,
+      onFocusSlot,
+    } = this.props;
+
+    let { unit, slots } = this;
+    let { first, last } = endOfRange(slots, unit);
+    let ResourceHeader = components.resourceHeader || Header;
+
+    events = events.filter(
+      event =>
+        inSlots(event, first, last, this.props) &&
+        (id === undefined || get(event, resourceAccessor) === id),
+    );
+
+    events.sort((a, b) => (eventsSorter || sortEvents)(a, b, this.props));
+
+    let segments = events.map(event =>
+      eventSegments(event, first, last, this.props, slots, rowIdx, unit),
+    );
+    let { levels } = eventLevels(segments);
+
+    return (
+      <div key={rowIdx} role="row" className="rbc-timeline-row">
+        <div role="rowheader" className="rbc-timeline-resource rbc-header">
+          <ResourceHeader label={title} date={date} resource={resource} />
+        </div>
+        <div className="rbc-timeline-row-content">
+          <BackgroundCells
+            date={date}
+            now={now}
+            rtl={rtl}
+            range={slots}
+            unit={unit}
+            resource={id}
+            selectable={selectable}
+            container={this.getContainer}
+            longPressThreshold={longPressThreshold}
+            cellWrapperComponent={
+              unit === 'day' ? components.dateCellWrapper : components.dayWrapper
+            }
+            onSelectSlot={slot => this.handleSelectSlot(slot, id, this.props.onSelectSlot)}
+            onRightClickSlot={slot => this.handleSelectSlot(slot, id, this.props.onRightClickSlot)}
+            onNavigate={onNavigate}
+            onFocusSlot={onFocusSlot}
+          />
+          <div className="rbc-row-content">
+            {levels.map((segs, idx) => (
+              <EventRow
+                key={idx}
+                level={rowIdx}
+                segments={segs}
+                slots={slots.length}
+                start={first}
+                end={last}
+                selected={selected}
+                selectedList={selectedList}
+                eventPropGetter={eventPropGetter}
+                titleAccessor={titleAccessor}
+                allDayAccessor={allDayAccessor}
+                startAccessor={startAccessor}
+                endAccessor={endAccessor}
+                eventComponent={components.event}
+                eventWrapperComponent={components.eventWrapper}
+                onSelect={this.handleSelectEvent}
+                onDoubleClick={this.handleDoubleClickEvent}
+                onInlineEditEventTitle={this.props.onInlineEditEventTitle}
+              />
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  handleSelectSlot = ({ start, end, action }, resourceId, callback) => {
+    let { unit } = this;
+    let slots = this.slots.slice(start, end + 1);
+
+    // day slots are reported inclusively, like the month view, and time slots
+    // end where the last selected slot ends, like the time grid
+    notify(callback, {
+      slots,
+      start: slots[0],
+      end: unit === 'day' ? slots[slots.length - 1] : dates.add(slots[slots.length - 1], 1, unit),
+      action,
+      resourceId,
+    });
+  };
+
+  handleSelectEvent = (...args) => {
+    notify(this.props.onSelectEvent, args);
+  };
+
+  handleDoubleClickEvent = (...args) => {
+    notify(this.props.onDoubleClickEvent, args);
+  };
+}
+
+function getSlots({ date, timelineScale, culture, min, max }) {
+  let range = Timeline.range(date, { timelineScale, culture });
+
+  if (timelineScale !== 'day') return range;
+
+  return dates.range(dates.merge(date, min), dates.merge(date, max), 'hours');
+}
+
+Timeline.range = (date, { timelineScale = Timeline.defaultProps.timelineScale, culture }) => {
+  if (timelineScale === 'day') return [dates.startOf(date, 'day')];
+
+  let unit = timelineScale === 'week' ? 'week' : 'month';
+  let firstOfWeek = localizer.startOfWeek(culture);
+  let start = dates.startOf(date, unit, firstOfWeek);
+  let end = dates.endOf(date, unit, firstOfWeek);
+
+  return dates.range(start, end);
+};
+
+Timeline.navigate = (date, action, { timelineScale = Timeline.defaultProps.timelineScale }) => {
+  switch (action) {
+    case navigate.PREVIOUS:
+      return dates.add(date, -1, timelineScale);
+
+    case navigate.NEXT:
+      return dates.add(date, 1, timelineScale);
+
+    default:
+      return date;
+  }
+};
+
+Timeline.title = (
+  date,
+  { timelineScale = Timeline.defaultProps.timelineScale, formats, culture },
+) => {
+  switch (timelineScale) {
+    case 'day':
+      return localizer.format(date, formats.dayHeaderFormat, culture);
+
+    case 'month':
+      return localizer.format(date, formats.monthHeaderFormat, culture);
+
+    default: {
+      let [start, ...rest] = Timeline.range(date, { timelineScale, culture });
+
+      return localizer.format({ start, end: rest.pop() }, formats.dayRangeHeaderFormat, culture);
+    }
+  }
+};
+
+export default Timeline;
@@ -1,16 +1,22 @@
 import { views } from './utils/constants';
 import Month from './Month';
 import Day from './Day';
+import Days from './Days';
 import Week from './Week';
 import WorkWeek from './WorkWeek';
 import Agenda from './Agenda';
+import Year from './Year';
+import Timeline from './Timeline';
 
 const VIEWS = {
   [views.MONTH]: Month,
   [views.WEEK]: Week,
   [views.WORK_WEEK]: WorkWeek,
   [views.DAY]: Day,
+  [views.DAYS]: Days,
   [views.AGENDA]: Agenda,
+  [views.YEAR]: Year,
+  [views.TIMELINE]: Timeline,
 };
 
 export default VIEWS;
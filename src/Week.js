@@ -33,16 +33,16 @@ Week.navigate = (date, action) => {
   }
 };
 
-Week.range = (date, { culture }) => {
+Week.range = (date, { culture, hiddenDays = [] }) => {
   let firstOfWeek = localizer.startOfWeek(culture);
   let start = dates.startOf(date, 'week', firstOfWeek);
   let end = dates.endOf(date, 'week', firstOfWeek);
 
-  return dates.range(start, end);
+  return dates.range(start, end).filter(day => hiddenDays.indexOf(day.getDay()) === -1);
 };
 
-Week.title = (date, { formats, culture }) => {
-  let [start, ...rest] = Week.range(date, { culture });
+Week.title = (date, { formats, culture, hiddenDays }) => {
+  let [start, ...rest] = Week.range(date, { culture, hiddenDays });
   return localizer.format({ start, end: rest.pop() }, formats.dayRangeHeaderFormat, culture);
 };
 
@@ -6,7 +6,9 @@ import TimeGrid from './TimeGrid';
 import localizer from './localizer';
 
 function workWeekRange(date, options) {
-  return Week.range(date, options).filter(d => [6, 0].indexOf(d.getDay()) === -1);
+  let { workDays = [1, 2, 3, 4, 5] } = options;
+
+  return Week.range(date, options).filter(d => workDays.indexOf(d.getDay()) !== -1);
 }
 
 class WorkWeek extends React.Component {
@@ -26,8 +28,10 @@ class WorkWeek extends React.Component {
 
 WorkWeek.navigate = Week.navigate;
 
-WorkWeek.title = (date, { formats, culture }) => {
-  let [start, ...rest] = workWeekRange(date, { culture });
+WorkWeek.range = workWeekRange;
+
+WorkWeek.title = (date, { formats, culture, workDays, hiddenDays }) => {
+  let [start, ...rest] = workWeekRange(date, { culture, workDays, hiddenDays });
   return localizer.format({ start, end: rest.pop() }, formats.dayRangeHeaderFormat, culture);
 };
 
@@ -0,0 +1,142 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import cn from 'classnames';
+import chunk from 'lodash/chunk';
+
+import dates from './utils/dates';
+import localizer from './localizer';
+import { navigate } from './utils/constants';
+import { notify } from './utils/helpers';
+import { accessor, dateFormat } from './utils/propTypes';
+import { inRange } from './utils/eventLevels';
+
+let eventsInRange = (evts, start, end, props) => evts.filter(e => inRange(e, start, end, props));
+
+class YearView extends React.Component {
+  static displayName = 'YearView';
+
+  static propTypes = {
+    events: PropTypes.array.isRequired,
+    date: PropTypes.instanceOf(Date),
+    now: PropTypes.instanceOf(Date),
+
+    culture: PropTypes.string,
+    dateFormat,
+    weekdayFormat: dateFormat,
+    yearMonthFormat: dateFormat,
+
+    startAccessor: accessor.isRequired,
+    endAccessor: accessor.isRequired,
+
+    onDrillDown: PropTypes.func,
+    getDrilldownView: PropTypes.func.isRequired,
+
+    className: PropTypes.string,
+  };
+
+  static defaultProps = {
+    now: new Date(),
+  };
+
+  render() {
+    let { date, className } = this.props;
+
+    return (
+      <div className={cn('rbc-year-view', className)}>
+        {dates.monthsInYear(dates.year(date)).map(this.renderMonth)}
+      </div>
+    );
+  }
+
+  renderMonth = (month, idx) => {
+    let { events, culture, weekdayFormat, yearMonthFormat } = this.props;
+    let days = dates.visibleDays(month, culture);
+    let weeks = chunk(days, 7);
+
+    events = eventsInRange(events, days[0], days[days.length - 1], this.props);
+
+    return (
+      <div key={idx} className="rbc-year-month">
+        <div className="rbc-year-month-header">
+          {localizer.format(month, yearMonthFormat, culture)}
+        </div>
+        <div className="rbc-row">
+          {weeks[0].map((day, dayIdx) => (
+            <div key={dayIdx} className="rbc-year-weekday">
+              {localizer.format(day, weekdayFormat, culture)}
+            </div>
+          ))}
+        </div>
+        {weeks.map((week, weekIdx) => (
+          <div key={weekIdx} className="rbc-row">
+            {week.map(day => this.renderDay(day, month, events))}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  renderDay(day, month, events) {
+    let { now, dateFormat, culture, getDrilldownView } = this.props;
+
+    if (!dates.eq(day, month, 'month')) {
+      return <div key={+day} className="rbc-year-day rbc-off-range" />;
+    }
+
+    let hasEvents = events.some(e => inRange(e, day, day, this.props));
+    let drilldownView = getDrilldownView(day);
+    let label = localizer.format(day, dateFormat, culture);
+
+    return (
+      <div
+        key={+day}
+        className={cn('rbc-year-day', {
+          'rbc-now': dates.eq(day, now, 'day'),
+          'rbc-year-day-has-events': hasEvents,
+        })}
+      >
+        {drilldownView ? (
+          <button
+            type="button"
+            className="rbc-button-link"
+            onClick={e => this.handleDayClick(day, drilldownView, e)}
+          >
+            {label}
+          </button>
+        ) : (
+          <span>{label}</span>
+        )}
+      </div>
+    );
+  }
+
+  handleDayClick = (date, view, e) => {
+    e.preventDefault();
+    notify(this.props.onDrillDown, [date, view]);
+  };
+}
+
+YearView.navigate = (date, action) => {
+  switch (action) {
+    case navigate.PREVIOUS:
+      return dates.add(date, -1, 'year');
+
+    case navigate.NEXT:
+      return dates.add(date, 1, 'year');
+
+    default:
+      return date;
+  }
+};
+
+YearView.range = (date, { culture }) => {
+  let start = dates.firstVisibleDay(dates.startOf(date, 'year'), culture);
+  let end = dates.lastVisibleDay(dates.endOf(date, 'year'), culture);
+
+  return dates.range(start, end);
+};
+
+YearView.title = (date, { formats, culture }) =>
+  localizer.format(date, formats.yearHeaderFormat, culture);
+
+export default YearView;
@@ -0,0 +1,190 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import TestUtils from 'react-dom/test-utils';
+import moment from 'moment';
+
+import momentLocalizer from '../localizers/moment';
+import Agenda from '../Agenda';
+import dates from '../utils/dates';
+import { navigate } from '../utils/constants';
+
+momentLocalizer(moment);
+
+describe('Agenda', () => {
+  const date = new Date(2018, 4, 1);
+  const events = dates.range(date, dates.add(date, 60, 'day'), 'day').map(day => ({
+    title: 'event',
+    start: dates.add(day, 9, 'hours'),
+    end: dates.add(day, 10, 'hours'),
+  }));
+
+  const format = ({ start, end }) =>
+    moment(start).format('MMM D') + ' - ' + moment(end).format('MMM D');
+  const formats = {
+    agendaHeaderFormat: format,
+    dayRangeHeaderFormat: format,
+    monthHeaderFormat: 'MMMM YYYY',
+  };
+
+  describe('paging', () => {
+    test('pages by the length in days', () => {
+      const range = Agenda.range(date, { length: 10 });
+
+      expect(range[0]).toEqual(date);
+      expect(range[range.length - 1]).toEqual(new Date(2018, 4, 11));
+      expect(Agenda.navigate(date, navigate.NEXT, { length: 10 })).toEqual(new Date(2018, 4, 11));
+      expect(Agenda.navigate(date, navigate.PREVIOUS, { length: 10 })).toEqual(
+        new Date(2018, 3, 21),
+      );
+      expect(Agenda.title(date, { length: 10, formats })).toBe('May 1 - May 11');
+    });
+
+    test('pages by week', () => {
+      const props = { agendaPaging: 'week', formats };
+      const range = Agenda.range(date, props);
+
+      expect(range.length).toBe(7);
+      expect(range[0]).toEqual(new Date(2018, 3, 29));
+      expect(range[6]).toEqual(new Date(2018, 4, 5));
+      expect(Agenda.navigate(date, navigate.NEXT, props)).toEqual(new Date(2018, 4, 8));
+      expect(Agenda.navigate(date, navigate.PREVIOUS, props)).toEqual(new Date(2018, 3, 24));
+      expect(Agenda.title(date, props)).toBe('Apr 29 - May 5');
+    });
+
+    test('pages by month', () => {
+      const props = { agendaPaging: 'month', formats };
+      const range = Agenda.range(new Date(2018, 4, 15), props);
+
+      expect(range.length).toBe(31);
+      expect(range[0]).toEqual(date);
+      expect(range[30]).toEqual(new Date(2018, 4, 31));
+      expect(Agenda.navigate(date, navigate.NEXT, props)).toEqual(new Date(2018, 5, 1));
+      expect(Agenda.navigate(date, navigate.PREVIOUS, props)).toEqual(new Date(2018, 3, 1));
+      expect(Agenda.title(date, props)).toBe('May 2018');
+    });
+  });
+
+  describe('rows', () => {
+    // a week with events on the Monday and, twice, the Wednesday
+    const weekEvents = [
+      { title: 'a', start: new Date(2018, 3, 30, 9), end: new Date(2018, 3, 30, 10) },
+      { title: 'b', start: new Date(2018, 4, 2, 9), end: new Date(2018, 4, 2, 10) },
+      { title: 'c', start: new Date(2018, 4, 2, 11), end: new Date(2018, 4, 2, 12) },
+    ];
+
+    function renderRows(props) {
+      const node = document.createElement('div');
+
+      ReactDOM.render(
+        <Agenda
+          date={date}
+          events={weekEvents}
+          agendaPaging="week"
+          titleAccessor="title"
+          allDayAccessor="allDay"
+          startAccessor="start"
+          endAccessor="end"
+          agendaDateFormat="ddd MMM DD"
+          agendaTimeFormat="LT"
+          agendaTimeRangeFormat={format}
+          components={{}}
+          {...formats}
+          {...props}
+        />,
+        node,
+      );
+
+      return [].map.call(node.querySelectorAll('tbody tr'), row => row.className || 'event');
+    }
+
+    test('lists the days with events', () => {
+      expect(renderRows()).toEqual(['event', 'event', 'event']);
+    });
+
+    test('lists the days without events too', () => {
+      const empty = 'rbc-agenda-empty-day';
+
+      expect(renderRows({ agendaShowEmptyDays: true })).toEqual([
+        empty,
+        'event',
+        empty,
+        'event',
+        'event',
+        empty,
+        empty,
+        empty,
+      ]);
+    });
+
+    test('puts a header above each group of days', () => {
+      const header = 'rbc-agenda-group-header';
+      const rows = renderRows({ agendaGroupBy: 'month', agendaShowEmptyDays: true });
+
+      expect(rows[0]).toBe(header);
+      expect(rows[3]).toBe(header);
+      expect(rows.filter(row => row === header).length).toBe(2);
+    });
+  });
+
+  describe('virtualized', () => {
+    // a virtualized agenda, measured as a viewport of ten rows over a long list
+    function renderAgenda(props) {
+      const node = document.createElement('div');
+      const agenda = ReactDOM.render(
+        <Agenda
+          date={date}
+          events={events}
+          length={30}
+          agendaVirtualized
+          titleAccessor="title"
+          allDayAccessor="allDay"
+          startAccessor="start"
+          endAccessor="end"
+          agendaDateFormat="ddd MMM DD"
+          agendaTimeFormat="LT"
+          agendaTimeRangeFormat={({ start, end }) => start + ' - ' + end}
+          components={{}}
+          {...props}
+        />,
+        node,
+      );
+
+      Object.defineProperty(agenda.refs.content, 'clientHeight', { value: 320 });
+      Object.defineProperty(agenda.refs.content, 'scrollHeight', { value: 100000 });
+
+      return agenda;
+    }
+
+    function scrollTo(agenda, scrollTop) {
+      agenda.refs.content.scrollTop = scrollTop;
+      TestUtils.Simulate.scroll(agenda.refs.content);
+    }
+
+    test('scrolls without working out the rows again', () => {
+      const getEventsInRange = jest.fn(() => events);
+      const agenda = renderAgenda({ getEventsInRange });
+      const calls = getEventsInRange.mock.calls.length;
+
+      scrollTo(agenda, 200);
+      scrollTo(agenda, 400);
+
+      expect(getEventsInRange.mock.calls.length).toBe(calls);
+      expect(agenda.refs.tbody.children.length).toBeLessThan(40);
+    });
+
+    test('measures the header when the rendered rows change', () => {
+      const agenda = renderAgenda();
+      agenda._adjustHeader = jest.fn();
+
+      scrollTo(agenda, 40);
+      expect(agenda._adjustHeader).toHaveBeenCalledTimes(1);
+
+      // still the same rows in sight
+      scrollTo(agenda, 50);
+      expect(agenda._adjustHeader).toHaveBeenCalledTimes(1);
+
+      scrollTo(agenda, 400);
+      expect(agenda._adjustHeader).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import TestUtils from 'react-dom/test-utils';
+import moment from 'moment';
+
+import BigCalendar from '../index';
+
+BigCalendar.momentLocalizer(moment);
+
+describe('Calendar', () => {
+  let node;
+
+  beforeEach(() => {
+    node = document.createElement('div');
+  });
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(node);
+  });
+
+  describe('live region', () => {
+    function renderCalendar(props) {
+      const render = date =>
+        ReactDOM.render(
+          <BigCalendar
+            view="day"
+            views={['day']}
+            onView={() => {}}
+            events={[]}
+            date={date}
+            onNavigate={render}
+            contextMenuComponents={{}}
+            {...props}
+          />,
+          node,
+        );
+
+      render(new Date(2018, 0, 10));
+    }
+
+    const announcement = () => node.querySelector('[role="status"]').textContent;
+
+    test('announces the new label after navigating', () => {
+      renderCalendar();
+      expect(announcement()).toBe('');
+
+      const next = [].filter.call(node.querySelectorAll('.rbc-toolbar button'), button =>
+        /next/i.test(button.textContent),
+      )[0];
+      TestUtils.Simulate.click(next);
+
+      const label = node.querySelector('.rbc-toolbar-label').textContent;
+      expect(label).toMatch(/Jan 11/);
+      expect(announcement()).toBe(label);
+    });
+
+    test('announces a selected slot', () => {
+      const onSelectSlot = jest.fn();
+      renderCalendar({ selectable: true, onSelectSlot });
+
+      // the first slot of nine o'clock, two half hour slots an hour
+      const slot = node.querySelectorAll('.rbc-day-slot .rbc-time-slot')[18];
+      TestUtils.Simulate.keyDown(slot, { key: 'Enter' });
+
+      expect(onSelectSlot).toHaveBeenCalledTimes(1);
+      expect(onSelectSlot.mock.calls[0][0].start).toEqual(new Date(2018, 0, 10, 9));
+      expect(announcement()).toMatch(/^Selected .*9:00/);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import moment from 'moment';
+
+import momentLocalizer from '../localizers/moment';
+import Days from '../Days';
+import dates from '../utils/dates';
+import { navigate } from '../utils/constants';
+
+momentLocalizer(moment);
+
+// the ranges of `count` pages from `date` on, going forward
+function pages(date, props, count = 4) {
+  let ranges = [];
+
+  for (let i = 0; i < count; i++) {
+    ranges.push(Days.range(date, props));
+    date = Days.navigate(date, navigate.NEXT, props);
+  }
+
+  return ranges;
+}
+
+function expectContiguous(ranges) {
+  ranges.slice(1).forEach((range, idx) => {
+    let previous = ranges[idx];
+    expect(range[0]).toEqual(dates.add(previous[previous.length - 1], 1, 'day'));
+  });
+}
+
+describe('Days', () => {
+  // a Wednesday
+  const date = new Date(2018, 0, 3, 10);
+
+  test('starts on the date', () => {
+    const props = { dayCount: 3, dayCountAlignment: 'day' };
+    const ranges = pages(date, props);
+
+    expect(ranges[0]).toEqual([new Date(2018, 0, 3), new Date(2018, 0, 4), new Date(2018, 0, 5)]);
+    expectContiguous(ranges);
+    expect(Days.navigate(date, navigate.PREVIOUS, props)).toEqual(new Date(2017, 11, 31, 10));
+  });
+
+  test('lines up with the weeks', () => {
+    const props = { dayCount: 3, dayCountAlignment: 'week' };
+    const ranges = pages(date, props, 8);
+
+    expect(ranges[0]).toContainEqual(new Date(2018, 0, 3));
+    expectContiguous(ranges);
+
+    const previous = Days.range(Days.navigate(date, navigate.PREVIOUS, props), props);
+    expect(dates.add(previous[previous.length - 1], 1, 'day')).toEqual(ranges[0][0]);
+  });
+
+  test('starts on the first day of the week with whole weeks', () => {
+    const props = { dayCount: 14, dayCountAlignment: 'week' };
+    const ranges = pages(date, props);
+
+    expect(ranges[0][0]).toEqual(new Date(2017, 11, 31));
+    expectContiguous(ranges);
+    ranges.forEach(range => expect(range[0].getDay()).toEqual(0));
+  });
+});
@@ -0,0 +1,119 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import moment from 'moment';
+
+import BigCalendar from '../index';
+
+BigCalendar.momentLocalizer(moment);
+
+// dispatches a mouse event on the node, at a point of the page
+function mouse(type, node, x, y) {
+  let e = document.createEvent('Event');
+  e.initEvent(type, true, true);
+  Object.assign(e, { which: 1, button: 0, pageX: x, pageY: y, clientX: x, clientY: y });
+  node.dispatchEvent(e);
+}
+
+// lays the row out at a box of the page, as jsdom does no layout of its own
+function layout(node, { top, left, width, height }) {
+  node.getBoundingClientRect = () => ({ top, left, width, height, right: left + width });
+  Object.defineProperty(node, 'offsetWidth', { value: width });
+  Object.defineProperty(node, 'offsetHeight', { value: height });
+}
+
+describe('Month', () => {
+  let node, elementFromPoint;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    node = document.createElement('div');
+    document.body.appendChild(node);
+    elementFromPoint = document.elementFromPoint;
+  });
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(node);
+    document.body.removeChild(node);
+    document.elementFromPoint = elementFromPoint;
+    jest.useRealTimers();
+  });
+
+  test('drag to create calls onCreateEvent with the days selected', () => {
+    let onCreateEvent = jest.fn();
+    let onSelectSlot = jest.fn();
+
+    ReactDOM.render(
+      <BigCalendar
+        selectable
+        showAllEvents
+        views={['month']}
+        events={[]}
+        date={new Date(2018, 0, 10)}
+        onNavigate={() => {}}
+        onSelectSlot={onSelectSlot}
+        onCreateEvent={onCreateEvent}
+        contextMenuComponents={{}}
+      />,
+      node,
+    );
+
+    // the second week, Jan 7 to 13, is 70px a day across
+    let row = node.querySelectorAll('.rbc-month-row .rbc-row-bg')[1];
+    let cell = row.querySelectorAll('.rbc-day-bg')[1];
+    layout(row, { top: 100, left: 0, width: 490, height: 100 });
+    document.elementFromPoint = () => cell;
+
+    // from Monday to Wednesday
+    mouse('mousedown', cell, 100, 150);
+    mouse('mousemove', cell, 110, 150);
+    mouse('mousemove', cell, 230, 150);
+    expect(node.querySelectorAll('.rbc-selection-preview')).toHaveLength(1);
+
+    mouse('mouseup', cell, 230, 150);
+    jest.runAllTimers();
+
+    expect(onSelectSlot).toHaveBeenCalledTimes(1);
+    expect(onSelectSlot.mock.calls[0][0]).toMatchObject({
+      start: new Date(2018, 0, 8),
+      end: new Date(2018, 0, 10),
+      action: 'select',
+    });
+    expect(onCreateEvent).toHaveBeenCalledTimes(1);
+    expect(onCreateEvent).toHaveBeenCalledWith({
+      start: new Date(2018, 0, 8),
+      end: new Date(2018, 0, 11),
+      allDay: true,
+    });
+  });
+
+  test('shades the days of background events behind the events', () => {
+    ReactDOM.render(
+      <BigCalendar
+        showAllEvents
+        views={['month']}
+        events={[
+          { title: 'meeting', start: new Date(2018, 0, 9, 9), end: new Date(2018, 0, 9, 10) },
+        ]}
+        backgroundEvents={[
+          { title: 'closed', start: new Date(2018, 0, 9), end: new Date(2018, 0, 11) },
+        ]}
+        date={new Date(2018, 0, 10)}
+        onNavigate={() => {}}
+        contextMenuComponents={{}}
+      />,
+      node,
+    );
+
+    let row = node.querySelectorAll('.rbc-month-row')[1];
+    let shaded = [].map.call(
+      row.querySelectorAll('.rbc-day-bg'),
+      cell => cell.querySelectorAll('.rbc-background-event').length,
+    );
+
+    expect(shaded).toEqual([0, 0, 1, 1, 0, 0, 0]);
+    expect(row.querySelectorAll('.rbc-row-content .rbc-background-event')).toHaveLength(0);
+    expect([].map.call(node.querySelectorAll('.rbc-event'), e => e.textContent)).toEqual([
+      'meeting',
+    ]);
+  });
+});
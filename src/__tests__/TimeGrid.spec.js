@@ -0,0 +1,176 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import TestUtils from 'react-dom/test-utils';
+import moment from 'moment';
+
+import momentLocalizer from '../localizers/moment';
+import TimeGrid from '../TimeGrid';
+import EventWrapper from '../EventWrapper';
+import BackgroundWrapper from '../BackgroundWrapper';
+import { isEvent } from '../Selection';
+
+momentLocalizer(moment);
+
+describe('TimeGrid', () => {
+  const range = [new Date(2018, 0, 8), new Date(2018, 0, 9)];
+  const event = (title, resourceId) => ({
+    title,
+    resourceId,
+    start: new Date(2018, 0, 8, 9),
+    end: new Date(2018, 0, 8, 10),
+  });
+  const events = [event('a', 1), event('b', 2), event('none'), event('other', 3)];
+
+  function renderGrid(props) {
+    const node = document.createElement('div');
+
+    ReactDOM.render(
+      <TimeGrid
+        range={range}
+        events={events}
+        titleAccessor="title"
+        allDayAccessor="allDay"
+        startAccessor="start"
+        endAccessor="end"
+        dayFormat="ddd DD"
+        dayHeaderFormat="dddd MMM DD"
+        eventTimeRangeFormat={({ start, end }) => start + ' - ' + end}
+        timeGutterFormat="LT"
+        width={50}
+        getDrilldownView={() => null}
+        selectedList={[]}
+        onSelectSlot={() => {}}
+        onSelectEvent={() => {}}
+        onDoubleClickEvent={() => {}}
+        onInlineEditEventTitle={() => {}}
+        components={{
+          eventWrapper: EventWrapper,
+          dayWrapper: BackgroundWrapper,
+          dateCellWrapper: BackgroundWrapper,
+        }}
+        {...props}
+      />,
+      node,
+    );
+
+    return node;
+  }
+
+  // the titles of the events in each day column
+  const columns = node =>
+    [].map.call(node.querySelectorAll('.rbc-day-slot'), column =>
+      [].map.call(column.querySelectorAll('.rbc-event-content'), e => e.textContent),
+    );
+
+  test('renders one column per day without resources', () => {
+    expect(columns(renderGrid())).toEqual([['a', 'b', 'none', 'other'], []]);
+  });
+
+  test('splits the events of each day between the resources', () => {
+    const node = renderGrid({
+      resources: [{ id: 1, title: 'Room 1' }, { id: 2, title: 'Room 2' }],
+    });
+    const headers = [].map.call(node.querySelectorAll('.rbc-resource-header'), h => h.textContent);
+
+    expect(headers).toEqual(['Room 1', 'Room 2', 'Room 1', 'Room 2']);
+    expect(columns(node)).toEqual([['a'], ['b'], [], []]);
+  });
+
+  test('makes each day column a row of time slots, named after its day and resource', () => {
+    const node = renderGrid({
+      resources: [{ id: 1, title: 'Room 1' }, { id: 2, title: 'Room 2' }],
+      min: new Date(2018, 0, 8, 9),
+      max: new Date(2018, 0, 8, 11),
+    });
+    const columns = node.querySelectorAll('.rbc-day-slot');
+    const labels = [].map.call(columns, column => column.getAttribute('aria-label'));
+
+    expect(node.querySelectorAll('[role="columnheader"]').length).toBe(0);
+    expect([].every.call(columns, column => column.getAttribute('role') === 'row')).toBe(true);
+    expect(labels).toEqual([
+      'Monday Jan 08, Room 1',
+      'Monday Jan 08, Room 2',
+      'Tuesday Jan 09, Room 1',
+      'Tuesday Jan 09, Room 2',
+    ]);
+    expect(columns[0].querySelectorAll('[role="gridcell"]').length).toBe(4);
+  });
+
+  describe('background events', () => {
+    const closed = (start, end) => ({ title: 'closed', start, end });
+    const hours = { min: new Date(2018, 0, 8, 9), max: new Date(2018, 0, 8, 17) };
+
+    // the vertical extent of each background event in the day columns
+    const shading = node =>
+      [].map.call(node.querySelectorAll('.rbc-day-slot'), column =>
+        [].map.call(column.querySelectorAll('.rbc-background-event'), e => [
+          e.style.top,
+          e.style.height,
+        ]),
+      );
+
+    test('renders behind the events of the column', () => {
+      const node = renderGrid({
+        ...hours,
+        backgroundEvents: [closed(new Date(2018, 0, 8, 9), new Date(2018, 0, 8, 11))],
+      });
+      const column = node.querySelector('.rbc-day-slot');
+      const layers = [].map.call(
+        column.querySelectorAll('.rbc-background-event, .rbc-event'),
+        e => e.className.split(' ')[0],
+      );
+
+      expect(layers).toEqual(['rbc-background-event'].concat(events.map(() => 'rbc-event')));
+      expect(column.querySelector('.rbc-background-event').textContent).toBe('');
+    });
+
+    test('are clipped to the hours of each day', () => {
+      const node = renderGrid({
+        ...hours,
+        backgroundEvents: [
+          closed(new Date(2018, 0, 8, 6), new Date(2018, 0, 8, 10)),
+          closed(new Date(2018, 0, 8, 15), new Date(2018, 0, 9, 10)),
+          closed(new Date(2018, 0, 9, 18), new Date(2018, 0, 9, 20)),
+        ],
+      });
+
+      expect(shading(node)).toEqual([[['0%', '12.5%'], ['75%', '25%']], [['0%', '12.5%']]]);
+    });
+
+    test('stay out of the layout of the events', () => {
+      const styles = node =>
+        [].map.call(node.querySelectorAll('.rbc-event'), e => e.getAttribute('style'));
+      const backgroundEvents = [
+        closed(new Date(2018, 0, 8, 9), new Date(2018, 0, 8, 10)),
+        closed(new Date(2018, 0, 8, 9, 30), new Date(2018, 0, 8, 12)),
+      ];
+
+      expect(styles(renderGrid({ ...hours, backgroundEvents }))).toEqual(styles(renderGrid(hours)));
+    });
+
+    test("can't be selected", () => {
+      const onSelectEvent = jest.fn();
+      const node = renderGrid({
+        ...hours,
+        selectable: true,
+        onSelectEvent,
+        backgroundEvents: [closed(new Date(2018, 0, 9, 9), new Date(2018, 0, 9, 11))],
+      });
+      const column = node.querySelectorAll('.rbc-day-slot')[1];
+      const background = column.querySelector('.rbc-background-event');
+      const elementFromPoint = document.elementFromPoint;
+
+      TestUtils.Simulate.click(background);
+      expect(onSelectEvent).not.toHaveBeenCalled();
+      expect(background.getAttribute('aria-hidden')).toBe('true');
+
+      // a press over one selects the slots under it rather than an event
+      document.elementFromPoint = () => background;
+      try {
+        expect(isEvent(column, { clientX: 0, clientY: 0 })).toBe(false);
+      } finally {
+        document.elementFromPoint = elementFromPoint;
+      }
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import moment from 'moment';
+import 'moment/locale/fr';
+
+import momentLocalizer from '../localizers/moment';
+import Timeline from '../Timeline';
+import EventWrapper from '../EventWrapper';
+import BackgroundWrapper from '../BackgroundWrapper';
+import { navigate } from '../utils/constants';
+
+// loading a locale makes it the global one
+moment.locale('en');
+momentLocalizer(moment);
+
+describe('Timeline', () => {
+  // a Wednesday
+  const date = new Date(2018, 0, 10);
+
+  test('ranges over the scale', () => {
+    const week = Timeline.range(date, { timelineScale: 'week' });
+    const month = Timeline.range(date, { timelineScale: 'month' });
+
+    expect(Timeline.range(date, { timelineScale: 'day' })).toEqual([new Date(2018, 0, 10)]);
+    expect([week[0], week[6]]).toEqual([new Date(2018, 0, 7), new Date(2018, 0, 13)]);
+    expect(month.length).toBe(31);
+  });
+
+  test('starts weeks on the first day of the culture', () => {
+    const week = Timeline.range(date, { timelineScale: 'week', culture: 'fr' });
+
+    expect([week[0], week[6]]).toEqual([new Date(2018, 0, 8), new Date(2018, 0, 14)]);
+  });
+
+  test('navigates by the scale', () => {
+    const next = timelineScale => Timeline.navigate(date, navigate.NEXT, { timelineScale });
+
+    expect(next('day')).toEqual(new Date(2018, 0, 11));
+    expect(next('week')).toEqual(new Date(2018, 0, 17));
+    expect(next('month')).toEqual(new Date(2018, 1, 10));
+    expect(Timeline.navigate(date, navigate.PREVIOUS, { timelineScale: 'week' })).toEqual(
+      new Date(2018, 0, 3),
+    );
+  });
+
+  describe('rendering', () => {
+    const events = [
+      { title: 'a', resourceId: 1, start: new Date(2018, 0, 8), end: new Date(2018, 0, 9) },
+      { title: 'b', resourceId: 2, start: new Date(2018, 0, 9), end: new Date(2018, 0, 10) },
+      { title: 'c', resourceId: 2, start: new Date(2018, 0, 11), end: new Date(2018, 0, 12) },
+    ];
+
+    function renderTimeline(props) {
+      const node = document.createElement('div');
+
+      ReactDOM.render(
+        <Timeline
+          date={date}
+          now={new Date(2018, 0, 10, 14, 30)}
+          events={events}
+          resources={[{ id: 1, title: 'Room 1' }, { id: 2, title: 'Room 2' }]}
+          titleAccessor="title"
+          allDayAccessor="allDay"
+          startAccessor="start"
+          endAccessor="end"
+          dayFormat="dd DD"
+          timeGutterFormat="LT"
+          components={{
+            eventWrapper: EventWrapper,
+            dayWrapper: BackgroundWrapper,
+            dateCellWrapper: BackgroundWrapper,
+          }}
+          {...props}
+        />,
+        node,
+      );
+
+      return node;
+    }
+
+    test('renders a row of events per resource', () => {
+      const rows = renderTimeline().querySelectorAll('.rbc-timeline-row');
+      const titles = row => [].map.call(row.querySelectorAll('.rbc-event'), e => e.textContent);
+
+      expect(rows.length).toBe(2);
+      expect(rows[0].querySelector('.rbc-timeline-resource').textContent).toBe('Room 1');
+      expect(titles(rows[0])).toEqual(['a']);
+      expect(titles(rows[1])).toEqual(['b', 'c']);
+    });
+
+    test('marks the current hour of the day scale, not the day', () => {
+      const node = renderTimeline({
+        timelineScale: 'day',
+        min: new Date(2018, 0, 10, 8),
+        max: new Date(2018, 0, 10, 18),
+      });
+      const cells = node.querySelectorAll('.rbc-timeline-row')[0].querySelectorAll('.rbc-day-bg');
+
+      expect(cells.length).toBe(11);
+      expect(node.querySelectorAll('.rbc-timeline-row .rbc-today').length).toBe(0);
+      expect([].map.call(cells, cell => cell.classList.contains('rbc-now')).indexOf(true)).toBe(6);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import TestUtils from 'react-dom/test-utils';
+import moment from 'moment';
+
+import momentLocalizer from '../localizers/moment';
+import YearView from '../Year';
+import { navigate } from '../utils/constants';
+
+momentLocalizer(moment);
+
+describe('YearView', () => {
+  const date = new Date(2018, 4, 15);
+
+  test('navigates by year', () => {
+    expect(YearView.navigate(date, navigate.NEXT)).toEqual(new Date(2019, 4, 15));
+    expect(YearView.navigate(date, navigate.PREVIOUS)).toEqual(new Date(2017, 4, 15));
+    expect(YearView.navigate(date, navigate.DATE)).toBe(date);
+  });
+
+  test('ranges over the visible days of the year', () => {
+    const range = YearView.range(date, {});
+
+    expect(range[0]).toEqual(new Date(2017, 11, 31));
+    expect(range[range.length - 1]).toEqual(new Date(2019, 0, 5));
+  });
+
+  test('drills down from the days', () => {
+    const onDrillDown = jest.fn();
+    const node = document.createElement('div');
+    const events = [{ start: new Date(2018, 4, 15, 10), end: new Date(2018, 4, 15, 11) }];
+
+    ReactDOM.render(
+      <YearView
+        date={date}
+        events={events}
+        startAccessor="start"
+        endAccessor="end"
+        dateFormat="DD"
+        weekdayFormat="dd"
+        yearMonthFormat="MMMM"
+        getDrilldownView={() => 'day'}
+        onDrillDown={onDrillDown}
+      />,
+      node,
+    );
+
+    const months = node.querySelectorAll('.rbc-year-month');
+    const withEvents = node.querySelectorAll('.rbc-year-day-has-events');
+
+    expect(months).toHaveLength(12);
+    expect(withEvents).toHaveLength(1);
+
+    TestUtils.Simulate.click(withEvents[0].querySelector('button'));
+
+    expect(onDrillDown).toHaveBeenCalledWith(new Date(2018, 4, 15), 'day');
+  });
+});
@@ -1,5 +1,6 @@
 import PropTypes from 'prop-types';
 import React, { Component } from 'react';
+import cn from 'classnames';
 
 import propEq from 'ramda/src/propEq';
 import findIndex from 'ramda/src/findIndex';
@@ -21,6 +22,7 @@ import cuid from 'cuid';
 import BigCalendar from '../../index';
 import { withLevels } from '../../utils/eventLevels';
 import reorderLevels, { removeGaps, groupOverlapping } from './eventLevels';
+import { getEventTimes } from './backgroundWrapper';
 import dates from '../../utils/dates';
 
 const fAddHours = compose(flip, curry)(addHours);
@@ -60,6 +62,16 @@ const calcPosFromDate = (date, range, span) => {
   return { left: idx + 1, right: idx + span, span, level: 0 };
 };
 
+// the days from `start` to `end` the row shows, as the range leaves out hidden weekdays
+const visibleSpan = (range, start, end) => {
+  const shown = range.map(day => day.getDay());
+  let span = 0;
+  for (let day = start; !dates.gt(day, end, 'day'); day = addDays(day, 1)) {
+    if (shown.indexOf(day.getDay()) !== -1) span++;
+  }
+  return Math.max(span, 1);
+};
+
 const _segRemover = (self, { level, left }) => {
   const findSeg = findIndex(propEq('left', left));
   return () => {
@@ -101,18 +113,29 @@ const calcNextLevel = (levels, { left, right, event: { id } }) => {
 
 const cloneLevels = lvls => lvls.map(lvl => [].concat(lvl));
 
+const eventOrder = levels =>
+  levels.reduce((acc, row) => row.reduce((acc, { event }) => (acc.push(event), acc), acc), []);
+
+// rows are told apart by an id of their own rather than their week index, which repeats
+// across stacked months and calendars
+let nextRowId = 0;
+
 class DateContentRowWrapper extends Component {
   constructor(props) {
     super(props);
     this.state = {
       levels: [],
+      invalid: false,
     };
 
     this.rangeBounds = [];
     this.ignoreHoverUpdates = false;
+    this.rowId = ++nextRowId;
   }
 
   static contextTypes = {
+    dragAndDropCalendar: PropTypes.object,
+    dragPreviews: PropTypes.array,
     onEventReorder: PropTypes.func,
     onEventUpdate: PropTypes.func,
     getInternalState: PropTypes.func,
@@ -166,7 +189,7 @@ class DateContentRowWrapper extends Component {
 
   handleSegmentDrag = drag => {
     const { setInternalState } = this.context;
-    setInternalState({ drag });
+    setInternalState({ drag: { ...drag, row: this.rowId } });
   };
 
   handleSegmentDragEnd = () => {
@@ -174,10 +197,47 @@ class DateContentRowWrapper extends Component {
     setInternalState({ drag: null });
   };
 
+  // keeps the order of the row's events from before the drag reached it, for undo
+  rememberOrder() {
+    const { getInternalState, setInternalState } = this.context;
+    const { rowOrders = {} } = getInternalState();
+
+    if (rowOrders[this.rowId]) return;
+    setInternalState({ rowOrders: { ...rowOrders, [this.rowId]: eventOrder(this.state.levels) } });
+  }
+
+  // whether the dragged event may move to `date`, asked before its segment is moved there
+  canMoveTo(date) {
+    const { dragAndDropCalendar, getInternalState, setInternalState } = this.context;
+    const { dragOrigin } = getInternalState();
+
+    // events dragged in from outside the calendar have nowhere to come from
+    if (!dragOrigin) return true;
+
+    const { event, start, end } = dragOrigin;
+    const allowed = dragAndDropCalendar.canDropAt({
+      event,
+      ...getEventTimes(start, end, date, 'dateCellWrapper'),
+    });
+
+    // the row the event may not move to is marked until the drag moves on or ends
+    const { clearInvalid } = getInternalState();
+    if (clearInvalid) clearInvalid();
+    if (!allowed) this.setState({ invalid: true });
+
+    setInternalState({
+      invalidDrop: !allowed,
+      clearInvalid: allowed ? null : () => this.setState({ invalid: false }),
+    });
+    return allowed;
+  }
+
   handleBackgroundCellEnter = (date, dragItem) => {
+    this.rememberOrder();
     this.ignoreHoverUpdates = true;
 
-    const { range, level: row } = this.props;
+    const { range } = this.props;
+    const row = this.rowId;
     const { getInternalState, setInternalState, onEventUpdate } = this.context;
     const { levels } = this.state;
     const { type, data, position } = dragItem;
@@ -185,6 +245,11 @@ class DateContentRowWrapper extends Component {
     const { lastKnownWeekRow, removeOrphanedSegment } = internalState;
     if (type === 'resizeL' || type === 'resizeR') return;
 
+    if (!this.canMoveTo(date)) {
+      this.ignoreHoverUpdates = false;
+      return;
+    }
+
     // clean up orphaned segment if we have traveled to a diff row
     if (!isNaN(lastKnownWeekRow) && lastKnownWeekRow !== row && removeOrphanedSegment) {
       removeOrphanedSegment();
@@ -234,15 +299,18 @@ class DateContentRowWrapper extends Component {
       }, []))(nextLeft, nextLeft);
 
     // recalculate  start/end date
-    const [start, end, span] = (() => {
+    const [start, end, days] = (() => {
       const rawStart = range[nextLeft - 1];
       const rawEnd = range[dspan - 1];
       let { event: { start: s, end: e } } = drag;
       const start = dates.startOf(s || rawStart, 'day');
       const end = dates.ceil(e || rawEnd, 'day');
-      let span = dlevel === -1 ? dspan : dates.diff(start, end, 'day');
-      return [s || rawStart, e || rawEnd, span];
+      let days = dlevel === -1 ? dspan : dates.diff(start, end, 'day');
+      return [s || rawStart, e || rawEnd, days];
     })();
+    const nextStart = range[nextLeft - 1];
+    const nextEnd = addDays(nextStart, days - 1);
+    const span = dlevel === -1 ? dspan : visibleSpan(range, nextStart, nextEnd);
 
     // return early if segment starts on current day and is already present
     if (
@@ -258,8 +326,6 @@ class DateContentRowWrapper extends Component {
 
     const [sHours, sMins] = [getHours(start) || 8, 0];
     const [eHours, eMins] = [getHours(end) || 16, 0];
-    const nextStart = range[nextLeft - 1];
-    const nextEnd = addDays(nextStart, span - 1);
     drag.event.start = compose(format, fAddHours(sHours), fAddMinutes(sMins))(nextStart);
     drag.event.end = compose(format, fAddHours(eHours), fAddMinutes(eMins))(nextEnd);
 
@@ -272,7 +338,7 @@ class DateContentRowWrapper extends Component {
       drag.row = row;
       drag.event.weight = (path(['event', 'weight'], lastSeg) || 0) + 0.5;
 
-      if (nextLeft + span - 1 > 7) {
+      if (nextLeft + span - 1 > range.length) {
         const nextDragEvent = drag.event;
         nextDragEvent.weight = (path(['event', 'weight'], lastSeg) || 0) + 0.5;
         const nextDrag = {
@@ -310,7 +376,7 @@ class DateContentRowWrapper extends Component {
 
     // check hover right exceeds bounds
     const { didUpdateEvent } = internalState;
-    if (span + nextLeft - 1 > 7) {
+    if (span + nextLeft - 1 > range.length) {
       const nextDragEvent = drag.event;
       nextDragEvent.weight = (path(['event', 'weight'], lastSeg) || 0) + 0.5;
       const nextDrag = {
@@ -351,9 +417,12 @@ class DateContentRowWrapper extends Component {
   handleSegmentHover = (hoverItem, dragItem) => {
     if (this.ignoreHoverUpdates) return;
 
+    this.rememberOrder();
+
     const { getInternalState, setInternalState } = this.context;
     const internalState = getInternalState();
-    const { level: row, range } = this.props;
+    const { range } = this.props;
+    const row = this.rowId;
     let { drag } = internalState;
     const { position: hover } = hoverItem;
     const { level: hlevel, left: hleft } = hover;
@@ -369,6 +438,7 @@ class DateContentRowWrapper extends Component {
     const { level: dlevel, left: dleft, right: dright, span: dspan, row: drow } = drag;
 
     if (dleft === hleft && dlevel === hlevel) return;
+    if (!this.canMoveTo(range[hleft - 1])) return;
 
     const { levels } = this.state;
 
@@ -437,10 +507,11 @@ class DateContentRowWrapper extends Component {
       const nextStart = range[nextDrag.left - 1];
       const actualStart = dates.startOf(nextDragStart, 'day');
       const actualEnd = dates.ceil(nextDragEnd, 'day');
-      const span = dates.diff(actualStart, actualEnd, 'day');
+      // calendar days, hidden ones included, so the event keeps its length
+      const days = dates.diff(actualStart, actualEnd, 'day');
       nextDrag.event.start = compose(format, fAddHours(sHours), fAddMinutes(sMins))(nextStart);
       nextDrag.event.end = compose(format, fAddHours(eHours), fAddMinutes(eMins))(
-        addDays(nextStart, span - 1),
+        addDays(nextStart, days - 1),
       );
     }
 
@@ -455,21 +526,26 @@ class DateContentRowWrapper extends Component {
   handleSegmentDrop = () => {
     const { levels } = this.state;
     const { onEventReorder, setInternalState, getInternalState } = this.context;
-    const { drag } = getInternalState();
+    const { drag, rowOrders = {}, invalidDrop } = getInternalState();
+    if (invalidDrop) return;
+
     const dragSeg = levels[drag.level].find(({ left }) => drag.left === left);
     if (!dragSeg) return;
 
-    const events = levels.reduce(
-      (acc, row) => row.reduce((acc, { event }) => (acc.push(event), acc), acc),
-      [],
-    );
+    const events = eventOrder(levels);
 
-    onEventReorder && onEventReorder(events);
+    onEventReorder && onEventReorder(events, rowOrders[this.rowId] || events);
   };
 
   render() {
     const DateContentRowWrapper = BigCalendar.components.dateContentRowWrapper;
-    const props = { ...this.props, ...this.state };
+    const { invalid, ...state } = this.state;
+    const props = {
+      ...this.props,
+      ...state,
+      className: cn(this.props.className, invalid && 'rbc-addons-dnd-over rbc-addons-dnd-invalid'),
+      dragPreviews: this.context.dragPreviews,
+    };
     return <DateContentRowWrapper {...props}>{this.props.children}</DateContentRowWrapper>;
   }
 }
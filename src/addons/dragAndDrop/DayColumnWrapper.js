@@ -0,0 +1,167 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import ReactDOM from 'react-dom';
+import { DropTarget } from 'react-dnd';
+import format from 'date-fns/format';
+import isEqual from 'date-fns/is_equal';
+
+import BigCalendar from '../../index';
+import { accessor } from '../../utils/propTypes';
+import { accessor as get } from '../../utils/accessors';
+import { getColumnDropTimes, getColumnResizeTimes } from './helpers';
+import ItemTypes from './itemTypes';
+
+const RESIZE_EDGES = { resizeT: 'top', resizeB: 'bottom' };
+
+/**
+ * Where the dragged item ends up in the column: a moved event goes by the top edge of its
+ * drag preview, a resized one by the pointer.
+ */
+function getDropTimes(props, monitor, component) {
+  const { data: event, type } = monitor.getItem();
+  const { startAccessor, endAccessor } = component.context;
+  const bounds = ReactDOM.findDOMNode(component).getBoundingClientRect();
+  const isResize = monitor.getItemType() === ItemTypes.RESIZE;
+  const offset = isResize ? monitor.getClientOffset() : monitor.getSourceClientOffset();
+
+  if (!offset || (isResize && !RESIZE_EDGES[type])) return null;
+
+  // events from outside the calendar have no times of their own
+  const times =
+    type === 'outsideEvent'
+      ? { start: props.min, end: props.min }
+      : { start: get(event, startAccessor), end: get(event, endAccessor) };
+
+  if (isResize) return getColumnResizeTimes(offset.y, bounds, times, RESIZE_EDGES[type], props);
+
+  return getColumnDropTimes(offset.y, bounds, times, props);
+}
+
+class DraggableDayColumn extends React.Component {
+  static propTypes = {
+    connectDropTarget: PropTypes.func.isRequired,
+    isOver: PropTypes.bool,
+    min: PropTypes.instanceOf(Date).isRequired,
+    max: PropTypes.instanceOf(Date).isRequired,
+    step: PropTypes.number.isRequired,
+    resource: PropTypes.any,
+  };
+
+  static contextTypes = {
+    dragAndDropCalendar: PropTypes.object,
+    dragPreviews: PropTypes.array,
+    previewGroup: PropTypes.func,
+    onEventDrop: PropTypes.func,
+    onEventResize: PropTypes.func,
+    onOutsideEventDrop: PropTypes.func,
+    startAccessor: accessor,
+    endAccessor: accessor,
+  };
+
+  state = { preview: null };
+
+  componentDidMount() {
+    // the column renders its own node, so the drop target is connected to it directly
+    this.props.connectDropTarget(ReactDOM.findDOMNode(this));
+  }
+
+  componentWillReceiveProps({ isOver }) {
+    if (!isOver && this.state.preview) this.setState({ preview: null });
+  }
+
+  // returns whether the preview moved
+  updatePreview(preview) {
+    const current = this.state.preview;
+
+    if (!current && !preview) return false;
+    if (
+      current &&
+      preview &&
+      isEqual(current.start, preview.start) &&
+      isEqual(current.end, preview.end)
+    ) {
+      return false;
+    }
+
+    this.setState({ preview });
+    return true;
+  }
+
+  render() {
+    const { connectDropTarget, isOver, ...props } = this.props;
+    const { preview } = this.state;
+    const DayColumnWrapper = BigCalendar.components.dayColumnWrapper;
+
+    // a dragged group previews as a whole, all day events among it aren't placed in columns
+    const groupPreviews = (this.context.dragPreviews || []).filter(
+      ({ event }) => !get(event, props.allDayAccessor),
+    );
+
+    // the column is the drop target, so the time slots don't need to be
+    return (
+      <DayColumnWrapper
+        {...props}
+        dayWrapperComponent={BigCalendar.components.dayWrapper}
+        dragPreviews={groupPreviews.length || !preview ? groupPreviews : [preview]}
+      />
+    );
+  }
+}
+
+const dropTarget = {
+  hover(props, monitor, component) {
+    const { data: event, type } = monitor.getItem();
+    const { onEventResize, previewGroup, dragAndDropCalendar } = component.context;
+    const times = type !== 'outsideEvent' && getDropTimes(props, monitor, component);
+    const invalid =
+      times && !dragAndDropCalendar.canDropAt({ event, ...times, resourceId: props.resource });
+    const moved = component.updatePreview(
+      times ? { event, ...times, className: invalid ? 'rbc-addons-dnd-invalid' : undefined } : null,
+    );
+
+    if (!moved || !times) return;
+
+    if (monitor.getItemType() === ItemTypes.RESIZE) {
+      if (onEventResize) onEventResize('hover', { event, ...times });
+    } else {
+      previewGroup(event, times.start, times.end);
+    }
+  },
+
+  drop(props, monitor, component) {
+    const { data: event, type } = monitor.getItem();
+    const { onEventDrop, onEventResize, onOutsideEventDrop } = component.context;
+    const times = getDropTimes(props, monitor, component);
+
+    component.updatePreview(null);
+    if (!times) return;
+
+    if (monitor.getItemType() === ItemTypes.RESIZE) {
+      return (
+        onEventResize && onEventResize('drop', { event, resourceId: props.resource, ...times })
+      );
+    }
+
+    if (type === 'outsideEvent') {
+      return onOutsideEventDrop && onOutsideEventDrop({ event, start: times.start });
+    }
+
+    return onEventDrop('drop', {
+      event,
+      resourceId: props.resource,
+      start: format(times.start),
+      end: format(times.end),
+    });
+  },
+};
+
+function collectTarget(connect, monitor) {
+  return {
+    connectDropTarget: connect.dropTarget(),
+    isOver: monitor.isOver(),
+  };
+}
+
+export default DropTarget([ItemTypes.EVENT, ItemTypes.RESIZE], dropTarget, collectTarget)(
+  DraggableDayColumn,
+);
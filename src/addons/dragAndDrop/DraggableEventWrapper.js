@@ -4,42 +4,45 @@ import ReactDOM from 'react-dom';
 import { DragSource, DropTarget } from 'react-dnd';
 import cn from 'classnames';
 import { compose } from 'recompose';
-import { path, pathEq } from 'ramda';
+import { pathEq } from 'ramda';
+import parse from 'date-fns/parse';
 
 import BigCalendar from '../../index';
+import dates from '../../utils/dates';
+import { accessor } from '../../utils/propTypes';
+import { accessor as get } from '../../utils/accessors';
+
+// month segments move by whole days, so a dragged group keeps the times it started with
+function shiftGroupOrigin({ event, start, end }, date) {
+  const days = dates.diff(start, date, 'day') * (dates.lt(date, start, 'day') ? -1 : 1);
+
+  return { event, start: dates.add(start, days, 'day'), end: dates.add(end, days, 'day') };
+}
 
 /* drag sources */
 
 let eventSource = {
   beginDrag({ event }, monitor, component) {
     const { context } = component;
-    const { onSegmentDrag, setInternalState } = context;
-    const { data, position } = event;
+    const { onSegmentDrag, setInternalState, dragAndDropCalendar: calendar } = context;
     const node = ReactDOM.findDOMNode(component);
     setInternalState({ dragBounds: node.getBoundingClientRect(), dragMonitor: monitor });
-    onSegmentDrag({ ...position, event: data });
-    return event;
+
+    // time grid events aren't laid out in rows, drag them in the same shape as month segments
+    if (!event.position) return { data: event, calendar };
+
+    onSegmentDrag({ ...event.position, event: event.data });
+    return { ...event, calendar };
   },
   endDrag(props, monitor, component) {
     if (!component) {
       return;
     }
     const { onSegmentDragEnd } = component.context;
-    onSegmentDragEnd();
+    if (onSegmentDragEnd) onSegmentDragEnd();
   },
-  canDrag(props, monitor) {
-    /*
-    itv-calendar uses React 16, meaning that the path to the isEditingEventTitle value in state is different than in React 15.
-    So although isEditing path does not work with the dnd example locally it will work when integrated with itv-calendar. AR - 2017-11-30
-    */
-    const isEditing = path(
-      ['children', '_owner', 'stateNode', 'state', 'isEditingEventTitle'],
-      props,
-    );
-
-    const isLocked = path(['event', 'data', 'locked'], props);
-
-    return !isEditing && !isLocked;
+  canDrag({ draggable }) {
+    return draggable;
   },
 };
 
@@ -47,6 +50,10 @@ const eventTarget = {
   hover(props, monitor, { decoratedComponentInstance: component }) {
     const { onSegmentHover, getInternalState, setInternalState } = component.context;
     const { event: hoverEvent } = props;
+
+    // only month rows reorder events, the time grid places them by time
+    if (!onSegmentHover || !hoverEvent.position) return;
+
     const { lastHover, lastDrag } = getInternalState();
     const dragEvent = monitor.getItem();
     if (
@@ -63,24 +70,60 @@ const eventTarget = {
       lastDrag: dragEvent,
     });
     onSegmentHover(hoverEvent, dragEvent);
+
+    const { dragAndDropCalendar, previewGroup } = component.context;
+    const { drag, dragOrigin } = getInternalState();
+    if (drag && dragAndDropCalendar.isGroupDrag()) {
+      const { event, start, end } = shiftGroupOrigin(dragOrigin, parse(drag.event.start));
+      previewGroup(event, start, end);
+    }
   },
   drop(_, monitor, { props, decoratedComponentInstance: component }) {
     const item = monitor.getItem();
     const { position } = item;
-    const { onSegmentDrop, onOutsideEventOrderAndDrop } = component.context;
+    const {
+      dragAndDropCalendar,
+      getInternalState,
+      onEventDrop,
+      onSegmentDrop,
+      onOutsideEventOrderAndDrop,
+    } = component.context;
+
+    // time grid events leave drops to their column
+    if (!props.event.position) return;
+
+    // an event from another calendar moves to where its segment was dropped, there is
+    // nothing to reorder yet
+    if (dragAndDropCalendar.isTransfer(item)) {
+      const { drag } = getInternalState();
+      const { start, end } = drag ? drag.event : item.data;
+      return onEventDrop('drop', { event: item.data, start, end });
+    }
+
+    // a group moves together rather than being reordered
+    if (dragAndDropCalendar.isGroupDrag()) {
+      const { drag, dragOrigin } = getInternalState();
+      const { event, start, end } = drag
+        ? shiftGroupOrigin(dragOrigin, parse(drag.event.start))
+        : dragOrigin;
+      return onEventDrop('drop', { event, start, end });
+    }
 
     if (pathEq(['type'], 'outsideEvent', item)) {
       onOutsideEventOrderAndDrop(item.data);
     }
 
-    onSegmentDrop(position);
+    if (onSegmentDrop) onSegmentDrop(position);
   },
 };
 
 const contextTypes = {
+  dragAndDropCalendar: PropTypes.object,
   getInternalState: PropTypes.func,
+  onEventDrop: PropTypes.func,
   onEventReorder: PropTypes.func,
   onOutsideEventOrderAndDrop: PropTypes.func,
+  previewGroup: PropTypes.func,
   onSegmentDrag: PropTypes.func,
   onSegmentDragEnd: PropTypes.func,
   onSegmentDrop: PropTypes.func,
@@ -93,15 +136,22 @@ const propTypes = {
   connectDropTarget: PropTypes.func.isRequired,
   isDragging: PropTypes.bool.isRequired,
   event: PropTypes.object.isRequired,
+  draggable: PropTypes.bool.isRequired,
 };
 
 class DraggableEventWrapper extends React.Component {
   render() {
-    const { connectDragSource, connectDropTarget, children, event } = this.props;
+    const { connectDragSource, connectDropTarget, children, event, draggable } = this.props;
     const EventWrapper = BigCalendar.components.eventWrapper;
+
+    if (!draggable) return <EventWrapper event={event}>{connectDropTarget(children)}</EventWrapper>;
+
     const enhancer = compose(connectDragSource, connectDropTarget);
+    const child = React.cloneElement(children, {
+      className: cn(children.props.className, 'rbc-addons-dnd-draggable-event'),
+    });
 
-    return <EventWrapper event={event}>{enhancer(children)}</EventWrapper>;
+    return <EventWrapper event={event}>{enhancer(child)}</EventWrapper>;
   }
 }
 
@@ -118,4 +168,31 @@ const dragAndDrop = compose(
   })),
 );
 
-export default dragAndDrop(DraggableEventWrapper);
+const DraggableEvent = dragAndDrop(DraggableEventWrapper);
+
+// the drag source only sees props, so whether the event can be dragged is settled here
+class DraggableEventWrapperContainer extends React.Component {
+  static propTypes = {
+    event: PropTypes.object.isRequired,
+    isEditing: PropTypes.bool,
+  };
+
+  static contextTypes = {
+    draggableAccessor: accessor,
+  };
+
+  render() {
+    const { event, isEditing } = this.props;
+    const { draggableAccessor } = this.context;
+
+    // month segments carry the event as `data`, the time grid passes it as is
+    const data = event.position ? event.data : event;
+    // without an accessor, events marked `locked` stay where they are
+    const draggable =
+      !isEditing && (draggableAccessor ? !!get(data, draggableAccessor) : !data.locked);
+
+    return <DraggableEvent {...this.props} draggable={draggable} />;
+  }
+}
+
+export default DraggableEventWrapperContainer;
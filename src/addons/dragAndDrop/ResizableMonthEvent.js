@@ -1,15 +1,21 @@
 import PropTypes from 'prop-types';
 import React from 'react';
 import { DragSource } from 'react-dnd';
-import { getEmptyImage } from 'react-dnd-html5-backend';
+import getEmptyImage from './emptyImage';
 import compose from './compose';
 import styled from 'styled-components';
+import { accessor } from '../../utils/propTypes';
+import { accessor as get } from '../../utils/accessors';
 
 const Title = styled.div`
   padding: 2px 5px;
 `;
 
 class ResizableMonthEvent extends React.Component {
+  static contextTypes = {
+    resizableAccessor: accessor,
+  };
+
   componentDidMount() {
     this.props.connectLeftDragPreview(getEmptyImage(), {
       captureDraggingState: true,
@@ -20,7 +26,17 @@ class ResizableMonthEvent extends React.Component {
   }
 
   render() {
-    const { title, connectLeftDragSource, connectRightDragSource } = this.props;
+    const { event, title, connectLeftDragSource, connectRightDragSource } = this.props;
+    const { resizableAccessor } = this.context;
+
+    if (resizableAccessor && !get(event, resizableAccessor)) {
+      return (
+        <div className="rbc-addons-dnd-resizable-month-event">
+          <Title>{title}</Title>
+        </div>
+      );
+    }
+
     const [Left, Right] = [connectLeftDragSource, connectRightDragSource].map(connectDragSource => {
       return connectDragSource(<div className="rbc-addons-dnd-resize-month-event-anchor"> </div>);
     });
@@ -0,0 +1,70 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import { DragSource } from 'react-dnd';
+import getEmptyImage from './emptyImage';
+import compose from './compose';
+import { accessor } from '../../utils/propTypes';
+import { accessor as get } from '../../utils/accessors';
+
+class ResizableTimeEvent extends React.Component {
+  static propTypes = {
+    event: PropTypes.object,
+    title: PropTypes.node,
+    connectTopDragSource: PropTypes.func.isRequired,
+    connectTopDragPreview: PropTypes.func.isRequired,
+    connectBottomDragSource: PropTypes.func.isRequired,
+    connectBottomDragPreview: PropTypes.func.isRequired,
+  };
+
+  static contextTypes = {
+    resizableAccessor: accessor,
+  };
+
+  componentDidMount() {
+    this.props.connectTopDragPreview(getEmptyImage(), {
+      captureDraggingState: true,
+    });
+    this.props.connectBottomDragPreview(getEmptyImage(), {
+      captureDraggingState: true,
+    });
+  }
+
+  render() {
+    const { event, title, connectTopDragSource, connectBottomDragSource } = this.props;
+    const { resizableAccessor } = this.context;
+
+    if (resizableAccessor && !get(event, resizableAccessor)) {
+      return <div className="rbc-addons-dnd-resizable-time-event">{title}</div>;
+    }
+
+    const [Top, Bottom] = [connectTopDragSource, connectBottomDragSource].map(connectDragSource => {
+      return connectDragSource(<div className="rbc-addons-dnd-resize-time-event-anchor"> </div>);
+    });
+    return (
+      <div className="rbc-addons-dnd-resizable-time-event">
+        {Top}
+        {title}
+        {Bottom}
+      </div>
+    );
+  }
+}
+
+const eventSourceTop = {
+  beginDrag: ({ event: data }) => ({ data, type: 'resizeT' }),
+};
+
+const eventSourceBottom = {
+  beginDrag: ({ event: data }) => ({ data, type: 'resizeB' }),
+};
+
+export default compose(
+  DragSource('resize', eventSourceTop, (connect, monitor) => ({
+    connectTopDragSource: connect.dragSource(),
+    connectTopDragPreview: connect.dragPreview(),
+  })),
+  DragSource('resize', eventSourceBottom, (connect, monitor) => ({
+    connectBottomDragSource: connect.dragSource(),
+    connectBottomDragPreview: connect.dragPreview(),
+  })),
+)(ResizableTimeEvent);
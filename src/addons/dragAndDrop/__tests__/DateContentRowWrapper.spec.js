@@ -0,0 +1,103 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import TestUtils from 'react-dom/test-utils';
+import moment from 'moment';
+import { createTestBackend } from 'dnd-core';
+
+import BigCalendar from '../../../index';
+import withDragAndDrop from '../index';
+import ResizableMonthEvent from '../ResizableMonthEvent';
+
+BigCalendar.momentLocalizer(moment);
+
+const DragAndDropCalendar = withDragAndDrop(BigCalendar, { backend: createTestBackend });
+
+describe('DateContentRowWrapper', () => {
+  const date = new Date(2018, 0, 10);
+  const events = [
+    { id: 1, title: 'meeting', start: new Date(2018, 0, 8, 9), end: new Date(2018, 0, 8, 10) },
+  ];
+  let node;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    node = document.createElement('div');
+  });
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(node);
+    jest.useRealTimers();
+  });
+
+  function renderCalendar(props) {
+    const render = () =>
+      ReactDOM.render(
+        <DragAndDropCalendar
+          events={events}
+          date={date}
+          onNavigate={() => {}}
+          contextMenuComponents={{}}
+          showAllEvents
+          components={{ month: { event: ResizableMonthEvent } }}
+          {...props}
+        />,
+        node,
+      );
+
+    // the calendar takes its events from the props it receives after mounting
+    render();
+    return render();
+  }
+
+  // the drag source of the event and the drop target of the day cell
+  function handlerIds(calendar, day) {
+    const handlers = kind =>
+      TestUtils.findAllInRenderedTree(
+        calendar,
+        inst => !!inst && !!inst.getHandlerId && inst.constructor.displayName.indexOf(kind) === 0,
+      );
+    const source = handlers('DragSource').filter(inst => inst.props.event.data === events[0])[0];
+    const target = handlers('DropTarget').filter(
+      inst => inst.props.value && +inst.props.value === +day,
+    )[0];
+
+    return { sourceId: source.getHandlerId(), targetId: target.getHandlerId() };
+  }
+
+  // drags the event onto a day and drops it there
+  function drag(props, day) {
+    const calendar = renderCalendar(props);
+    const backend = calendar.getManager().getBackend();
+    const { sourceId, targetId } = handlerIds(calendar, day);
+
+    backend.simulateBeginDrag([sourceId]);
+    backend.simulateHover([targetId]);
+    const invalid = node.querySelectorAll('.rbc-month-row.rbc-addons-dnd-invalid').length;
+
+    backend.simulateDrop();
+    backend.simulateEndDrag();
+    jest.runAllTimers();
+
+    return invalid;
+  }
+
+  test('moves the event to an allowed day', () => {
+    const onEventDrop = jest.fn();
+    const onEventReorder = jest.fn();
+
+    expect(drag({ onEventDrop, onEventReorder }, new Date(2018, 0, 11))).toBe(0);
+    expect(onEventReorder).toHaveBeenCalledTimes(1);
+  });
+
+  test('marks the row of a refused move and leaves the drop out', () => {
+    const onEventDrop = jest.fn();
+    const onEventReorder = jest.fn();
+    const canDrop = jest.fn(({ start }) => start.getDate() !== 11);
+
+    expect(drag({ onEventDrop, onEventReorder, canDrop }, new Date(2018, 0, 11))).toBe(1);
+    expect(canDrop).toHaveBeenCalled();
+    expect(onEventReorder).not.toHaveBeenCalled();
+    expect(onEventDrop).not.toHaveBeenCalledWith('drop', expect.anything());
+    expect(node.querySelectorAll('.rbc-addons-dnd-invalid')).toHaveLength(0);
+  });
+});
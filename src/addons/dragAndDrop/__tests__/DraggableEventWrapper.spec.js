@@ -0,0 +1,91 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import TestUtils from 'react-dom/test-utils';
+import moment from 'moment';
+import { createTestBackend } from 'dnd-core';
+
+import BigCalendar from '../../../index';
+import withDragAndDrop from '../index';
+import ResizableMonthEvent from '../ResizableMonthEvent';
+
+BigCalendar.momentLocalizer(moment);
+
+const DragAndDropCalendar = withDragAndDrop(BigCalendar, { backend: createTestBackend });
+
+describe('DraggableEventWrapper', () => {
+  const date = new Date(2018, 0, 10);
+  const events = [
+    { id: 1, title: 'free', start: new Date(2018, 0, 8, 9), end: new Date(2018, 0, 8, 10) },
+    {
+      id: 2,
+      title: 'locked',
+      locked: true,
+      start: new Date(2018, 0, 9, 9),
+      end: new Date(2018, 0, 9, 10),
+    },
+  ];
+
+  function renderCalendar(props) {
+    const node = document.createElement('div');
+    const render = () =>
+      ReactDOM.render(
+        <DragAndDropCalendar
+          events={events}
+          date={date}
+          onNavigate={() => {}}
+          onEventDrop={() => {}}
+          contextMenuComponents={{}}
+          showAllEvents
+          components={{ month: { event: ResizableMonthEvent } }}
+          {...props}
+        />,
+        node,
+      );
+
+    // the calendar takes its events from the props it receives after mounting
+    render();
+    render();
+    return node;
+  }
+
+  // the titles of the events that can be dragged
+  const draggable = node =>
+    [].map.call(node.querySelectorAll('.rbc-addons-dnd-draggable-event'), n =>
+      n.textContent.trim(),
+    );
+
+  test('keeps locked events in place without a draggableAccessor', () => {
+    expect(draggable(renderCalendar())).toEqual(['free']);
+  });
+
+  test('reads whether events can be dragged from draggableAccessor', () => {
+    expect(draggable(renderCalendar({ draggableAccessor: 'locked' }))).toEqual(['locked']);
+    expect(draggable(renderCalendar({ draggableAccessor: () => true }))).toEqual([
+      'free',
+      'locked',
+    ]);
+  });
+
+  test('leaves out the resize anchors of events resizableAccessor refuses', () => {
+    const node = renderCalendar({ resizableAccessor: event => !event.locked });
+    const anchors = title =>
+      [].filter
+        .call(node.querySelectorAll('.rbc-addons-dnd-resizable-month-event'), n =>
+          n.textContent.includes(title),
+        )[0]
+        .querySelectorAll('.rbc-addons-dnd-resize-month-event-anchor').length;
+
+    expect(anchors('free')).toBe(2);
+    expect(anchors('locked')).toBe(0);
+  });
+
+  test('stops dragging an event while its title is edited', () => {
+    const node = renderCalendar();
+    const event = node.querySelector('.rbc-addons-dnd-draggable-event .rbc-event');
+
+    expect(draggable(node)).toEqual(['free']);
+    TestUtils.Simulate.doubleClick(event);
+
+    expect(draggable(node)).toEqual([]);
+  });
+});
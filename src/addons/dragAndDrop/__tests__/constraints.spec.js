@@ -0,0 +1,56 @@
+import meetsConstraints from '../constraints';
+
+describe('meetsConstraints()', () => {
+  const accessors = { startAccessor: 'start', endAccessor: 'end' };
+  const range = (start, end, event) => ({
+    event,
+    start: new Date(2018, 0, 3, start),
+    end: new Date(2018, 0, 3, end),
+  });
+
+  test('passes without constraints', () => {
+    expect(meetsConstraints(range(9, 10), undefined, accessors)).toBe(true);
+  });
+
+  test('checks the duration', () => {
+    const constraints = { minDuration: 60, maxDuration: 120 };
+
+    expect(meetsConstraints(range(9, 10), constraints, accessors)).toBe(true);
+    expect(meetsConstraints(range(9, 12), constraints, accessors)).toBe(false);
+    expect(
+      meetsConstraints(
+        { ...range(9, 9), end: new Date(2018, 0, 3, 9, 30) },
+        constraints,
+        accessors,
+      ),
+    ).toBe(false);
+  });
+
+  test('checks every weekday the range touches', () => {
+    // January 3rd 2018 was a Wednesday
+    const weekdays = [3, 4];
+    const overnight = { start: new Date(2018, 0, 3, 22), end: new Date(2018, 0, 4, 2) };
+    const untilMidnight = { start: new Date(2018, 0, 4, 22), end: new Date(2018, 0, 5) };
+    const weekend = { start: new Date(2018, 0, 6, 9), end: new Date(2018, 0, 6, 10) };
+
+    expect(meetsConstraints(overnight, { weekdays }, accessors)).toBe(true);
+    expect(meetsConstraints(untilMidnight, { weekdays }, accessors)).toBe(true);
+    expect(meetsConstraints(weekend, { weekdays }, accessors)).toBe(false);
+  });
+
+  test('keeps clear of other events', () => {
+    const meeting = { id: 1, start: new Date(2018, 0, 3, 9), end: new Date(2018, 0, 3, 10) };
+    const lunch = {
+      id: 2,
+      start: new Date(2018, 0, 3, 12),
+      end: new Date(2018, 0, 3, 13),
+      soft: true,
+    };
+    const options = { ...accessors, events: [meeting, lunch] };
+
+    expect(meetsConstraints(range(9, 11, { id: 3 }), { noOverlap: true }, options)).toBe(false);
+    expect(meetsConstraints(range(10, 12, { id: 3 }), { noOverlap: true }, options)).toBe(true);
+    expect(meetsConstraints(range(9, 10, meeting), { noOverlap: true }, options)).toBe(true);
+    expect(meetsConstraints(range(12, 13), { noOverlap: e => !e.soft }, options)).toBe(true);
+  });
+});
@@ -47,4 +47,56 @@ describe('Helpers', () => {
       // expect(day).toEqual(13);
     });
   });
+
+  describe('getColumnDropTimes()', () => {
+    const min = new Date(2017, 9, 13, 8, 0);
+    const max = new Date(2017, 9, 13, 18, 0);
+    const bounds = { top: 100, height: 600 };
+    const event = { start: new Date(2017, 9, 12, 9, 0), end: new Date(2017, 9, 12, 10, 30) };
+
+    test('snaps the start to the step and keeps the duration', () => {
+      // 10 hours over 600px, so a pixel a minute
+      const { start, end } = helpers.getColumnDropTimes(227, bounds, event, { min, max, step: 15 });
+
+      expect(start).toEqual(new Date(2017, 9, 13, 10, 0));
+      expect(end).toEqual(new Date(2017, 9, 13, 11, 30));
+    });
+
+    test('keeps the start within the column', () => {
+      const options = { min, max, step: 30 };
+
+      expect(helpers.getColumnDropTimes(0, bounds, event, options).start).toEqual(min);
+      expect(helpers.getColumnDropTimes(900, bounds, event, options).start).toEqual(
+        new Date(2017, 9, 13, 17, 30),
+      );
+    });
+  });
+
+  describe('getColumnResizeTimes()', () => {
+    const min = new Date(2017, 9, 13, 8, 0);
+    const max = new Date(2017, 9, 13, 18, 0);
+    const bounds = { top: 100, height: 600 };
+    const event = { start: new Date(2017, 9, 13, 9, 0), end: new Date(2017, 9, 13, 10, 30) };
+    const options = { min, max, step: 15 };
+
+    test('moves the dragged edge to the step', () => {
+      expect(helpers.getColumnResizeTimes(143, bounds, event, 'top', options)).toEqual({
+        start: new Date(2017, 9, 13, 8, 45),
+        end: event.end,
+      });
+      expect(helpers.getColumnResizeTimes(318, bounds, event, 'bottom', options)).toEqual({
+        start: event.start,
+        end: new Date(2017, 9, 13, 11, 45),
+      });
+    });
+
+    test('keeps the event at least a step long', () => {
+      expect(helpers.getColumnResizeTimes(400, bounds, event, 'top', options).start).toEqual(
+        new Date(2017, 9, 13, 10, 15),
+      );
+      expect(helpers.getColumnResizeTimes(0, bounds, event, 'bottom', options).end).toEqual(
+        new Date(2017, 9, 13, 9, 15),
+      );
+    });
+  });
 });
@@ -0,0 +1,313 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import TestUtils from 'react-dom/test-utils';
+import moment from 'moment';
+import { DragDropContext } from 'react-dnd';
+import { createTestBackend } from 'dnd-core';
+
+import BigCalendar from '../../../index';
+import withDragAndDrop from '../index';
+import ResizableMonthEvent from '../ResizableMonthEvent';
+import getEmptyImage from '../emptyImage';
+
+BigCalendar.momentLocalizer(moment);
+
+const DragAndDropCalendar = withDragAndDrop(BigCalendar, { backend: false });
+
+// calendars rendered side by side under one drag and drop manager
+class Board extends React.Component {
+  render() {
+    return <div>{this.props.children}</div>;
+  }
+}
+const SharedBoard = DragDropContext(createTestBackend)(Board);
+
+describe('withDragAndDrop', () => {
+  const date = new Date(2018, 0, 10);
+  let node, meeting;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    node = document.createElement('div');
+
+    // hovering moves the dragged event, so each test drags one of its own
+    meeting = {
+      id: 1,
+      title: 'meeting',
+      start: new Date(2018, 0, 8, 9),
+      end: new Date(2018, 0, 8, 10),
+    };
+  });
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(node);
+    jest.useRealTimers();
+  });
+
+  function renderBoard(calendars) {
+    const render = () =>
+      ReactDOM.render(
+        <SharedBoard>
+          {calendars.map(({ name, ...props }) => (
+            <DragAndDropCalendar
+              key={name}
+              name={name}
+              date={date}
+              onNavigate={() => {}}
+              onEventDrop={() => {}}
+              contextMenuComponents={{}}
+              showAllEvents
+              components={{ month: { event: ResizableMonthEvent } }}
+              {...props}
+            />
+          ))}
+        </SharedBoard>,
+        node,
+      );
+
+    // the calendars take their events from the props they receive after mounting
+    render();
+    return render();
+  }
+
+  // the drag and drop handlers of the named calendar
+  const handlers = (board, kind, name) => {
+    const calendar = TestUtils.findAllInRenderedTree(
+      board,
+      inst => inst instanceof DragAndDropCalendar && inst.props.name === name,
+    )[0];
+
+    return TestUtils.findAllInRenderedTree(
+      calendar,
+      inst => !!inst && !!inst.getHandlerId && inst.constructor.displayName.indexOf(kind) === 0,
+    );
+  };
+
+  // drags the event from one calendar onto a day of another and drops it there
+  function drag(board, event, from, to, day) {
+    const backend = board.getManager().getBackend();
+    const source = handlers(board, 'DragSource', from).filter(
+      inst => inst.props.event.data === event,
+    )[0];
+    const target = handlers(board, 'DropTarget', to).filter(
+      inst => inst.props.value && +inst.props.value === +day,
+    )[0];
+
+    backend.simulateBeginDrag([source.getHandlerId()]);
+    backend.simulateHover([target.getHandlerId()]);
+    backend.simulateDrop();
+    backend.simulateEndDrag();
+    jest.runAllTimers();
+  }
+
+  // the times reported for a drop, which the addon gives as ISO strings
+  const times = ({ start, end }) => ({ start: new Date(start), end: new Date(end) });
+
+  describe('between calendars', () => {
+    const callbacks = () => ({ onEventDrop: jest.fn(), onEventReorder: jest.fn() });
+    const moved = { start: new Date(2018, 0, 11, 9), end: new Date(2018, 0, 11, 10) };
+
+    test('reports the drop to onEventTransfer', () => {
+      const from = callbacks();
+      const to = { ...callbacks(), onEventTransfer: jest.fn() };
+      const board = renderBoard([
+        { name: 'a', events: [meeting], ...from },
+        { name: 'b', events: [], ...to },
+      ]);
+
+      drag(board, meeting, 'a', 'b', new Date(2018, 0, 11));
+
+      expect(to.onEventTransfer).toHaveBeenCalledTimes(1);
+      const transfer = to.onEventTransfer.mock.calls[0][0];
+      expect(transfer).toMatchObject({ event: meeting, fromCalendar: 'a', toCalendar: 'b' });
+      expect(times(transfer)).toEqual(moved);
+
+      [from, to].forEach(({ onEventDrop, onEventReorder }) => {
+        expect(onEventDrop).not.toHaveBeenCalledWith('drop', expect.anything());
+        expect(onEventReorder).not.toHaveBeenCalled();
+      });
+    });
+
+    test("falls back on the target's onEventDrop without onEventTransfer", () => {
+      const from = callbacks();
+      const to = callbacks();
+      const board = renderBoard([
+        { name: 'a', events: [meeting], ...from },
+        { name: 'b', events: [], ...to },
+      ]);
+
+      drag(board, meeting, 'a', 'b', new Date(2018, 0, 11));
+
+      expect(from.onEventDrop).not.toHaveBeenCalledWith('drop', expect.anything());
+      expect(to.onEventDrop).toHaveBeenCalledTimes(1);
+
+      const [type, drop] = to.onEventDrop.mock.calls[0];
+      expect(type).toBe('drop');
+      expect(drop.event).toBe(meeting);
+      expect(times(drop)).toEqual(moved);
+    });
+  });
+
+  describe('groups', () => {
+    let events;
+
+    beforeEach(() => {
+      events = [
+        meeting,
+        { id: 2, title: 'lunch', start: new Date(2018, 0, 9, 12), end: new Date(2018, 0, 9, 13) },
+        { id: 3, title: 'call', start: new Date(2018, 0, 12, 15), end: new Date(2018, 0, 12, 16) },
+      ];
+    });
+
+    // renders one calendar and shift clicks the events to select them together
+    function renderSelected(props, selected) {
+      const board = renderBoard([{ name: 'a', events, ...props }]);
+
+      selected.forEach(event => {
+        const cell = [].filter.call(
+          node.querySelectorAll('.rbc-event'),
+          n => n.textContent.trim() === event.title,
+        )[0];
+        TestUtils.Simulate.click(cell, { shiftKey: true });
+      });
+
+      return board;
+    }
+
+    const calendarOf = board =>
+      TestUtils.findAllInRenderedTree(board, inst => inst instanceof DragAndDropCalendar)[0];
+
+    test('moves the selected events by as much as the dragged one', () => {
+      const board = renderSelected({ onEventsDrop: () => {} }, [events[0], events[1]]);
+      const calendar = calendarOf(board);
+      const backend = board.getManager().getBackend();
+      const source = handlers(board, 'DragSource', 'a').filter(
+        inst => inst.props.event.data === meeting,
+      )[0];
+
+      backend.simulateBeginDrag([source.getHandlerId()]);
+
+      expect(calendar.isGroupDrag()).toBe(true);
+      expect(
+        calendar.moveGroup(meeting, new Date(2018, 0, 10, 9), new Date(2018, 0, 10, 10)),
+      ).toEqual([
+        { event: meeting, start: new Date(2018, 0, 10, 9), end: new Date(2018, 0, 10, 10) },
+        { event: events[1], start: new Date(2018, 0, 11, 12), end: new Date(2018, 0, 11, 13) },
+      ]);
+      expect(calendar.moveGroup(events[2], new Date(2018, 0, 13), new Date(2018, 0, 14))).toBe(
+        null,
+      );
+
+      backend.simulateEndDrag();
+      jest.runAllTimers();
+      expect(calendar.isGroupDrag()).toBe(false);
+    });
+
+    test('reports the group to onEventsDrop and announces all of it', () => {
+      const onEventDrop = jest.fn();
+      const onEventsDrop = jest.fn();
+      const board = renderSelected({ onEventDrop, onEventsDrop }, [events[0], events[1]]);
+
+      drag(board, meeting, 'a', 'a', new Date(2018, 0, 10));
+
+      expect(onEventDrop).not.toHaveBeenCalledWith('drop', expect.anything());
+      expect(onEventsDrop).toHaveBeenCalledTimes(1);
+
+      const drops = onEventsDrop.mock.calls[0][0];
+      expect(drops.map(drop => drop.event)).toEqual([meeting, events[1]]);
+      expect(drops.map(times)).toEqual([
+        { start: new Date(2018, 0, 10, 9), end: new Date(2018, 0, 10, 10) },
+        { start: new Date(2018, 0, 11, 12), end: new Date(2018, 0, 11, 13) },
+      ]);
+
+      const announcement = node.querySelector('[role="status"]').textContent;
+      expect(announcement).toMatch(/^Moved meeting, lunch to /);
+    });
+
+    test('drags an event that is not selected on its own', () => {
+      const onEventReorder = jest.fn();
+      const onEventsDrop = jest.fn();
+      const board = renderSelected({ onEventReorder, onEventsDrop }, [events[1], events[2]]);
+
+      drag(board, meeting, 'a', 'a', new Date(2018, 0, 10));
+
+      expect(onEventsDrop).not.toHaveBeenCalled();
+      expect(onEventReorder).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('touch backend', () => {
+    let backend;
+
+    // stands in for the touch backend factory, handing out the test backend
+    const touchBackend = jest.fn(() => manager => {
+      backend = createTestBackend(manager);
+      jest.spyOn(backend, 'connectDragPreview');
+      return backend;
+    });
+
+    beforeEach(() => {
+      touchBackend.mockClear();
+      backend = null;
+    });
+
+    function renderTouch(options, props) {
+      const TouchCalendar = withDragAndDrop(BigCalendar, { touchBackend, ...options });
+      const render = () =>
+        ReactDOM.render(
+          <TouchCalendar
+            events={[meeting]}
+            date={date}
+            onNavigate={() => {}}
+            onEventDrop={() => {}}
+            onEventResize={() => {}}
+            contextMenuComponents={{}}
+            showAllEvents
+            components={{ month: { event: ResizableMonthEvent } }}
+            {...props}
+          />,
+          node,
+        );
+
+      render();
+      return render();
+    }
+
+    test('is used in place of the backend option', () => {
+      const html5 = jest.fn();
+      const calendar = renderTouch({ backend: html5 });
+
+      expect(html5).not.toHaveBeenCalled();
+      expect(touchBackend).toHaveBeenCalledTimes(1);
+      expect(calendar.getManager().getBackend()).toBe(backend);
+    });
+
+    test('starts drags after the long press threshold', () => {
+      renderTouch();
+      expect(touchBackend).toHaveBeenLastCalledWith({
+        enableMouseEvents: true,
+        delayTouchStart: 250,
+      });
+
+      const calendar = renderTouch({ longPressThreshold: 500 });
+      expect(touchBackend).toHaveBeenLastCalledWith({
+        enableMouseEvents: true,
+        delayTouchStart: 500,
+      });
+
+      // slot selection waits as long by default
+      expect(calendar.getDecoratedComponentInstance().calendar.props.longPressThreshold).toBe(500);
+    });
+
+    test('hides the drag preview of the resize anchors without the HTML5 backend', () => {
+      renderTouch();
+
+      expect(backend.connectDragPreview).toHaveBeenCalledWith(
+        expect.anything(),
+        getEmptyImage(),
+        expect.objectContaining({ captureDraggingState: true }),
+      );
+      expect(getEmptyImage().src).toMatch(/^data:image\/gif/);
+    });
+  });
+});
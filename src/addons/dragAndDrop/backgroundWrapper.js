@@ -45,14 +45,49 @@ export function getEventTimes(start, end, dropDate, type) {
   };
 }
 
+/**
+ * The range a dragged or resized item would get when dropped on the cell, null for items
+ * without times of their own.
+ */
+function getDropRange(item, itemType, { value, type, resource }, context) {
+  const { data: event, type: eventType } = item;
+  const { startAccessor, endAccessor, getInternalState } = context;
+
+  if (!event || eventType === 'outsideEvent') return null;
+
+  const start = get(event, startAccessor);
+  const end = get(event, endAccessor);
+
+  if (itemType === ItemTypes.RESIZE) {
+    if (eventType === 'resizeL') return { event, start: value, end, resourceId: resource };
+    if (eventType === 'resizeR') return { event, start, end: value, resourceId: resource };
+    return null;
+  }
+
+  // hovering may already have moved the event, go by where it started out
+  const { dragOrigin } = getInternalState();
+  const origin = dragOrigin && dragOrigin.event === event ? dragOrigin : { start, end };
+
+  return {
+    event,
+    resourceId: resource,
+    ...getEventTimes(origin.start, origin.end, value, type),
+  };
+}
+
 class DraggableBackgroundWrapper extends React.Component {
   static propTypes = {
     connectDropTarget: PropTypes.func.isRequired,
+    resource: PropTypes.any,
     type: PropTypes.string,
     isOver: PropTypes.bool,
   };
 
+  state = { invalid: false };
+
   static contextTypes = {
+    dragAndDropCalendar: PropTypes.object,
+    previewGroup: PropTypes.func,
     onEventDrop: PropTypes.func,
     onSegmentDrop: PropTypes.func,
     onEventResize: PropTypes.func,
@@ -69,16 +104,31 @@ class DraggableBackgroundWrapper extends React.Component {
 
   componentWillReceiveProps(nextProps) {
     const { isOver: wasOver } = this.props;
-    const { onEventResize, dragDropManager, onBackgroundCellEnter } = this.context;
+    const {
+      onEventResize,
+      dragDropManager,
+      onBackgroundCellEnter,
+      dragAndDropCalendar,
+      previewGroup,
+      getInternalState,
+    } = this.context;
     const { isOver } = nextProps;
     const monitor = dragDropManager.getMonitor();
-    const { value } = this.props;
+    const { value, type } = this.props;
     if (isOver && !wasOver) {
       if (monitor.getItemType() === 'resize') {
         // This was causing me performance issues so I commented it out. Thoughts? - Adam Recvlohe Oct. 6 2017
         // onEventResize('drag', {event: monitor.getItem(), end: value});
       }
+      if (monitor.getItemType() === ItemTypes.EVENT && dragAndDropCalendar.isGroupDrag()) {
+        const { dragOrigin: { event, start, end } } = getInternalState();
+        const times = getEventTimes(start, end, value, type);
+        previewGroup(event, times.start, times.end);
+      }
       onBackgroundCellEnter(value, monitor.getItem());
+
+      const range = getDropRange(monitor.getItem(), monitor.getItemType(), nextProps, this.context);
+      this.setState({ invalid: !!range && !dragAndDropCalendar.canDropAt(range) });
     }
   }
 
@@ -96,7 +146,9 @@ class DraggableBackgroundWrapper extends React.Component {
     let resultingChildren = children;
     if (isOver)
       resultingChildren = React.cloneElement(children, {
-        className: cn(children.props.className, 'rbc-addons-dnd-over'),
+        className: cn(children.props.className, 'rbc-addons-dnd-over', {
+          'rbc-addons-dnd-invalid': this.state.invalid,
+        }),
       });
 
     return <BackgroundWrapper>{connectDropTarget(resultingChildren)}</BackgroundWrapper>;
@@ -115,9 +167,11 @@ function createWrapper(type) {
   const dropTarget = {
     drop(p, monitor, { props, context }) {
       const itemType = monitor.getItemType();
-      const { data: event, type: eventType } = monitor.getItem();
-      const { value } = props;
+      const item = monitor.getItem();
+      const { data: event, type: eventType } = item;
+      const { value, resource: resourceId } = props;
       const {
+        dragAndDropCalendar,
         onEventDrop,
         onSegmentDrop,
         onEventResize,
@@ -128,11 +182,20 @@ function createWrapper(type) {
         setInternalState,
         getInternalState,
       } = context;
-      const start = get(event, startAccessor);
-      const end = get(event, endAccessor);
-      const { didReorder } = getInternalState();
+      const { didReorder, dragOrigin } = getInternalState();
+      const isGroupDrag = dragAndDropCalendar.isGroupDrag();
+
+      // a dragged group may have been reordered while hovering, go by its times from before
+      const { start, end } = isGroupDrag
+        ? dragOrigin
+        : { start: get(event, startAccessor), end: get(event, endAccessor) };
 
-      if (didReorder && itemType === ItemTypes.EVENT) {
+      if (
+        didReorder &&
+        itemType === ItemTypes.EVENT &&
+        !dragAndDropCalendar.isTransfer(item) &&
+        !isGroupDrag
+      ) {
         return onSegmentDrop();
       }
 
@@ -149,6 +212,7 @@ function createWrapper(type) {
         } else {
           return onEventDrop('drop', {
             event,
+            resourceId,
             ...getEventTimes(start, end, value, type),
           });
         }
@@ -157,10 +221,10 @@ function createWrapper(type) {
       if (itemType === ItemTypes.RESIZE) {
         switch (eventType) {
           case 'resizeL': {
-            return onEventResize('drop', { event, start: value, end });
+            return onEventResize('drop', { event, start: value, end, resourceId });
           }
           case 'resizeR': {
-            return onEventResize('drop', { event, start, end: value });
+            return onEventResize('drop', { event, start, end: value, resourceId });
           }
           default: {
             return;
@@ -0,0 +1,60 @@
+import PropTypes from 'prop-types';
+import parse from 'date-fns/parse';
+
+import dates from '../../utils/dates';
+import { accessor as get } from '../../utils/accessors';
+
+export const constraintsShape = PropTypes.shape({
+  minDuration: PropTypes.number,
+  maxDuration: PropTypes.number,
+  weekdays: PropTypes.arrayOf(PropTypes.number),
+  noOverlap: PropTypes.oneOfType([PropTypes.bool, PropTypes.func]),
+});
+
+// the days of the week a range touches, an end at midnight doesn't count
+function weekdaysOf(start, end) {
+  const last = dates.gt(end, start) ? new Date(+end - 1) : end;
+  const days = [];
+
+  for (let day = dates.startOf(start, 'day'); !dates.gt(day, last) && days.length < 7; ) {
+    days.push(day.getDay());
+    day = dates.add(day, 1, 'day');
+  }
+
+  return days;
+}
+
+/**
+ * Whether the range `{ event, start, end }`, in dates, keeps to the `constraints`. `event` is
+ * the event being moved, if any, and never overlaps itself.
+ */
+export default function meetsConstraints(
+  { event, start, end },
+  constraints,
+  { events = [], startAccessor, endAccessor },
+) {
+  if (!constraints) return true;
+
+  const { minDuration, maxDuration, weekdays, noOverlap } = constraints;
+  const duration = dates.diff(start, end, 'minutes');
+
+  if (minDuration != null && duration < minDuration) return false;
+  if (maxDuration != null && duration > maxDuration) return false;
+
+  if (weekdays && weekdaysOf(start, end).some(day => weekdays.indexOf(day) === -1)) {
+    return false;
+  }
+
+  if (noOverlap) {
+    return !events.some(
+      other =>
+        other !== event &&
+        (!event || other.id == null || other.id !== event.id) &&
+        (noOverlap === true || noOverlap(other)) &&
+        dates.lt(start, parse(get(other, endAccessor))) &&
+        dates.gt(end, parse(get(other, startAccessor))),
+    );
+  }
+
+  return true;
+}
@@ -0,0 +1,15 @@
+let emptyImage;
+
+/**
+ * A transparent image to hide the browser's drag preview with, in place of the HTML5
+ * backend's `getEmptyImage()`. Backends without native drag previews, like the touch
+ * backend, ignore it.
+ */
+export default function getEmptyImage() {
+  if (!emptyImage) {
+    emptyImage = new Image();
+    emptyImage.src = 'data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw==';
+  }
+
+  return emptyImage;
+}
@@ -5,9 +5,52 @@ import getMinutes from 'date-fns/get_minutes';
 import addMinutes from 'date-fns/add_minutes';
 import startOfDay from 'date-fns/start_of_day';
 import addMilliseconds from 'date-fns/add_milliseconds';
+import differenceInMilliseconds from 'date-fns/difference_in_milliseconds';
+import differenceInMinutes from 'date-fns/difference_in_minutes';
+import parse from 'date-fns/parse';
+import minDate from 'date-fns/min';
+import maxDate from 'date-fns/max';
 
 export function merge(dropDate, start) {
   const [hours, mins] = [getHours(start), getMinutes(start)];
   const drop = startOfDay(dropDate);
   return compose(v => addHours(v, hours), v => addMinutes(v, mins))(drop);
 }
+
+// minutes from the top of the column at `y`, snapped to `step`
+function snapToColumn(y, { top, height }, { min, max, step }) {
+  const totalMinutes = differenceInMinutes(max, min);
+  const minutes = Math.round((y - top) / height * totalMinutes / step) * step;
+
+  return { minutes: Math.max(0, Math.min(minutes, totalMinutes)), totalMinutes };
+}
+
+/**
+ * Works out where an event dragged over a time column lands, from the position `y` of
+ * its top edge against the column bounds. The start snaps to `step` minutes and stays
+ * within the column; the duration is kept.
+ */
+export function getColumnDropTimes(y, bounds, { start, end }, options) {
+  const { minutes, totalMinutes } = snapToColumn(y, bounds, options);
+  const duration = differenceInMilliseconds(parse(end), parse(start));
+  const nextStart = addMinutes(options.min, Math.min(minutes, totalMinutes - options.step));
+
+  return { start: nextStart, end: addMilliseconds(nextStart, duration) };
+}
+
+/**
+ * Works out the times of an event resized from its `top` or `bottom` edge to the
+ * position `y` in a time column. The edge snaps to `step` minutes and the event is
+ * kept at least a step long.
+ */
+export function getColumnResizeTimes(y, bounds, { start, end }, edge, options) {
+  const { minutes } = snapToColumn(y, bounds, options);
+  const value = addMinutes(options.min, minutes);
+  const [eventStart, eventEnd] = [parse(start), parse(end)];
+
+  if (edge === 'top') {
+    return { start: minDate(value, addMinutes(eventEnd, -options.step)), end: eventEnd };
+  }
+
+  return { start: eventStart, end: maxDate(value, addMinutes(eventStart, options.step)) };
+}
@@ -3,10 +3,21 @@ import React from 'react';
 import { DragDropContext } from 'react-dnd';
 import cn from 'classnames';
 import merge from 'ramda/src/merge';
+import format from 'date-fns/format';
+import parse from 'date-fns/parse';
 
 import { accessor } from '../../utils/propTypes';
+import { accessor as get } from '../../utils/accessors';
+import defaultFormats from '../../formats';
+import message from '../../utils/messages';
+import describeRange from '../../utils/describeRange';
+import dates from '../../utils/dates';
+import { fromZoned, toZoned, zonedAccessor } from '../../utils/timezone';
+import inBusinessHours from '../../utils/businessHours';
+import meetsConstraints, { constraintsShape } from './constraints';
 import DateContentRowWrapper from './DateContentRowWrapper';
 import DraggableEventWrapper from './DraggableEventWrapper';
+import DayColumnWrapper from './DayColumnWrapper';
 import { DayWrapper, DateCellWrapper } from './backgroundWrapper';
 
 import findIndex from 'ramda/src/findIndex';
@@ -22,7 +33,46 @@ try {
   /* optional dep missing */
 }
 
-export default function withDragAndDrop(Calendar, { backend = html5Backend } = {}) {
+// drag state lives with the drag and drop manager rather than a calendar, so calendars
+// sharing a manager can pass events between each other
+const stores = new WeakMap();
+
+/**
+ * Adds drag and drop to a calendar, with the HTML5 backend by default. For touch screens
+ * pass a touch backend factory, like the default export of `react-dnd-touch-backend`, as
+ * `touchBackend`: drags then start after a long press of `longPressThreshold` milliseconds,
+ * 250 by default like the calendar's own long press for selecting slots.
+ *
+ * The backend is made once here, so only this option sets the drag delay. The
+ * `longPressThreshold` prop of the rendered calendar only applies to slot selection, so
+ * give both the same value to keep them in step.
+ *
+ * ```js
+ * import TouchBackend from 'react-dnd-touch-backend';
+ *
+ * const DragAndDropCalendar = withDragAndDrop(BigCalendar, {
+ *   touchBackend: TouchBackend,
+ *   longPressThreshold: 500,
+ * });
+ *
+ * <DragAndDropCalendar longPressThreshold={500} {...props} />
+ * ```
+ *
+ * Events can be dragged between calendars that share a drag and drop manager: render the
+ * same `DragAndDropCalendar` more than once, or wrap calendars created with
+ * `{ backend: false }` in a common `DragDropContext`.
+ *
+ * Drops, resizes and reorders go on the calendar's undo history, see `undo()` and `redo()`;
+ * behind the `DragDropContext` they are reached with `ref.getDecoratedComponentInstance()`.
+ */
+export default function withDragAndDrop(
+  Calendar,
+  { backend = html5Backend, touchBackend, longPressThreshold = 250 } = {},
+) {
+  if (touchBackend) {
+    backend = touchBackend({ enableMouseEvents: true, delayTouchStart: longPressThreshold });
+  }
+
   class DragAndDropCalendar extends React.Component {
     static propTypes = {
       components: PropTypes.object,
@@ -31,27 +81,36 @@ export default function withDragAndDrop(Calendar, { backend = html5Backend } = {
 
     constructor(...args) {
       super(...args);
-      this.state = { isDragging: false, isResizing: false, events: [] };
+      this.state = { isDragging: false, isResizing: false, events: [], dragPreviews: [] };
 
-      // stateful props that don't require a render
-      this.store = {};
+      // the selected events dragged along with the one under the cursor
+      this.group = null;
     }
 
     getChildContext() {
       return {
-        endAccessor: this.props.endAccessor,
-        onEventDrop: this.props.onEventDrop,
-        onEventReorder: this.props.onEventReorder,
-        onEventResize: this.props.onEventResize,
-        onOutsideEventDrop: this.props.onOutsideEventDrop,
+        draggableAccessor: this.props.draggableAccessor,
+        endAccessor: zonedAccessor(this.props.endAccessor, this.props),
+        onEventDrop: this.handleEventDrop,
+        onEventReorder: this.props.onEventReorder && this.handleEventReorder,
+        onEventResize: this.props.onEventResize && this.handleEventResize,
+        onOutsideEventDrop: this.props.onOutsideEventDrop && this.handleOutsideEventDrop,
         onOutsideEventOrderAndDrop: this.props.onOutsideEventOrderAndDrop,
-        startAccessor: this.props.startAccessor,
+        resizableAccessor: this.props.resizableAccessor,
+        startAccessor: zonedAccessor(this.props.startAccessor, this.props),
 
         // accessors for global drag item state
         setInternalState: (obj = null) => {
-          this.store = obj === null ? {} : merge(this.store, obj);
+          this.setStore(obj === null ? {} : merge(this.getStore(), obj));
         },
-        getInternalState: () => this.store,
+        getInternalState: () => this.getStore(),
+
+        // tells dragged items which calendar they come from
+        dragAndDropCalendar: this,
+
+        // previews of a dragged group
+        dragPreviews: this.state.dragPreviews,
+        previewGroup: this.previewGroup,
 
         // update an event
         onEventUpdate: this.handleEventUpdate,
@@ -70,7 +129,8 @@ export default function withDragAndDrop(Calendar, { backend = html5Backend } = {
     }
 
     handleStateChange = () => {
-      const isDragging = !!this.monitor.getItem();
+      const item = this.monitor.getItem();
+      const isDragging = !!item;
 
       const isResizing = this.monitor.getItemType() === 'resize';
 
@@ -83,14 +143,340 @@ export default function withDragAndDrop(Calendar, { backend = html5Backend } = {
       }
 
       if (!isDragging) {
-        this.store = {}; // reset store
+        // unmark the row the event was last refused from
+        const { clearInvalid } = this.getStore();
+        if (clearInvalid) clearInvalid();
+
+        this.setStore({}); // reset store
+        this.group = null;
+
+        if (this.state.dragPreviews.length) {
+          setTimeout(() => this.setState({ dragPreviews: [] }));
+        }
+      } else if (!this.group) {
+        this.beginGroup(item);
       }
     };
 
+    // remembers where the dragged event and the rest of the selection started out, before
+    // any hovering moves them
+    beginGroup(item) {
+      const startAccessor = zonedAccessor(this.props.startAccessor, this.props);
+      const endAccessor = zonedAccessor(this.props.endAccessor, this.props);
+      const { data: event } = item;
+      const times = e => ({
+        event: e,
+        start: parse(get(e, startAccessor)),
+        end: parse(get(e, endAccessor)),
+      });
+
+      if (!this.getStore().dragOrigin && event && get(event, startAccessor)) {
+        this.setStore(merge(this.getStore(), { dragOrigin: times(event) }));
+      }
+
+      const selected = this.calendar ? this.calendar.getSelectedEvents() : [];
+      const isGrouped =
+        this.props.onEventsDrop &&
+        !this.isTransfer(item) &&
+        selected.length > 1 &&
+        !!event &&
+        selected.some(e => e.id === event.id);
+
+      this.group = isGrouped ? selected.map(times) : [];
+    }
+
+    // shifts the dragged group by as much as `event` moved, null if it isn't in one
+    moveGroup(event, start, end) {
+      const origin = this.group && this.group.find(g => g.event.id === event.id);
+      if (!origin) return null;
+
+      const startDelta = +parse(start) - +origin.start;
+      const endDelta = +parse(end) - +origin.end;
+
+      return this.group.map(g => ({
+        event: g.event,
+        start: new Date(+g.start + startDelta),
+        end: new Date(+g.end + endDelta),
+      }));
+    }
+
+    previewGroup = (event, start, end) => {
+      const moves = this.moveGroup(event, start, end);
+      if (!moves) return;
+
+      const className = this.canDropAt({ event, start, end })
+        ? undefined
+        : 'rbc-addons-dnd-invalid';
+      this.setState({ dragPreviews: moves.map(move => ({ ...move, className })) });
+    };
+
+    // whether the drop moves a whole group rather than the dragged event alone
+    isGroupDrag() {
+      return !!this.group && this.group.length > 0;
+    }
+
+    handleGroupDrop(moves) {
+      const toInstants = ({ event, start, end }) => ({
+        event,
+        start: this.toInstant(start),
+        end: this.toInstant(end),
+      });
+      const drops = moves.map(toInstants);
+      const origins = this.group.map(toInstants);
+
+      this.setState({ dragPreviews: [] });
+      this.record(() => this.props.onEventsDrop(origins), () => this.props.onEventsDrop(drops));
+      this.props.onEventsDrop(drops);
+    }
+
+    /**
+     * Takes back the last drop, resize or reorder, or inline title edit, by calling the
+     * callback that reported it again with the old values.
+     */
+    undo() {
+      return !!this.calendar && this.calendar.undo();
+    }
+
+    /**
+     * Makes the last undone change again.
+     */
+    redo() {
+      return !!this.calendar && this.calendar.redo();
+    }
+
+    // puts a change on the calendar's undo history, see `Calendar.undo()`
+    record(undo, redo) {
+      if (this.calendar) this.calendar.recordChange({ undo, redo });
+    }
+
+    // where a dropped event was before the drag, to report it back on undo
+    originOf({ event, resourceId }) {
+      const { dragOrigin } = this.getStore();
+      const { startAccessor, endAccessor, resourceAccessor = 'resourceId' } = this.props;
+      const origin =
+        dragOrigin && dragOrigin.event === event
+          ? { start: this.toInstant(dragOrigin.start), end: this.toInstant(dragOrigin.end) }
+          : { start: get(event, startAccessor), end: get(event, endAccessor) };
+
+      return resourceId === undefined
+        ? origin
+        : { ...origin, resourceId: get(event, resourceAccessor) };
+    }
+
+    /**
+     * Whether `event` may be dropped at `start` and `end`, wall clock times of the display
+     * zone, under `canDrop`, `dropConstraints` and `limitToBusinessHours`. When it is dragged
+     * with a group, the whole group has to fit.
+     */
+    canDropAt = ({ event, start, end, resourceId }) => {
+      const {
+        canDrop,
+        dropConstraints,
+        businessHours,
+        limitToBusinessHours,
+        events = [],
+      } = this.props;
+      const moves = (event && this.moveGroup(event, start, end)) || [{ event, start, end }];
+      const accessors = {
+        startAccessor: zonedAccessor(this.props.startAccessor, this.props),
+        endAccessor: zonedAccessor(this.props.endAccessor, this.props),
+      };
+
+      // the events moving together don't get in each other's way
+      const others = events.filter(e => !moves.some(move => move.event === e));
+
+      return moves.every(move => {
+        const range = { event: move.event, start: parse(move.start), end: parse(move.end) };
+
+        if (!meetsConstraints(range, dropConstraints, { ...accessors, events: others })) {
+          return false;
+        }
+
+        if (
+          limitToBusinessHours &&
+          businessHours &&
+          !inBusinessHours(businessHours, { ...range, resourceId })
+        ) {
+          return false;
+        }
+
+        return (
+          !canDrop ||
+          canDrop({
+            event: range.event,
+            start: this.toInstant(range.start),
+            end: this.toInstant(range.end),
+            resourceId,
+          }) !== false
+        );
+      });
+    };
+
+    // selections are held to the same rules as drops, selections of whole days end on
+    // their last day rather than after it
+    canSelect({ start, end, slots = [], resourceId }) {
+      const { timezone } = this.props;
+      const days = slots.map(slot => toZoned(slot, timezone));
+      const isWholeDays =
+        days.length > 0 && days.every(day => dates.eq(day, dates.startOf(day, 'day')));
+      const last = toZoned(end, timezone);
+
+      return this.canDropAt({
+        start: toZoned(start, timezone),
+        end: isWholeDays ? dates.add(last, 1, 'day') : last,
+        resourceId,
+      });
+    }
+
+    handleSelecting = range => {
+      const { onSelecting } = this.props;
+
+      if (!this.canSelect(range)) return false;
+
+      return onSelecting ? onSelecting(range) : true;
+    };
+
+    handleSelectSlot = slotInfo => {
+      if (this.canSelect(slotInfo)) this.props.onSelectSlot(slotInfo);
+    };
+
+    // stateful props that don't require a render
+    getStore() {
+      return stores.get(this.context.dragDropManager) || {};
+    }
+
+    setStore(store) {
+      stores.set(this.context.dragDropManager, store);
+    }
+
+    // whether a dragged item comes from another calendar
+    isTransfer(item) {
+      return !!item && !!item.calendar && item.calendar !== this;
+    }
+
     componentWillReceiveProps({ events }) {
       this.setState({ events });
     }
 
+    // drop targets work with wall clock times of the display zone, convert them
+    // back to instants before reporting them
+    toInstant = value => {
+      const { timezone } = this.props;
+      if (!timezone || value == null) return value;
+
+      const instant = fromZoned(parse(value), timezone);
+      return typeof value === 'string' ? format(instant) : instant;
+    };
+
+    createCalendarRef = r => {
+      this.calendar = r;
+    };
+
+    // reads the outcome of a drop out through the calendar's live region
+    announce(messageKey, event, start, end) {
+      const { titleAccessor = 'title' } = this.props;
+      this.say(messageKey, get(event, titleAccessor), start, end);
+    }
+
+    // reads out a group drop with the titles of all its events and the range they span
+    announceGroup(messageKey, moves) {
+      const { titleAccessor = 'title' } = this.props;
+      const start = Math.min(...moves.map(move => +parse(move.start)));
+      const end = Math.max(...moves.map(move => +parse(move.end)));
+
+      this.say(
+        messageKey,
+        moves.map(move => get(move.event, titleAccessor)),
+        new Date(start),
+        new Date(end),
+      );
+    }
+
+    say(messageKey, subject, start, end) {
+      const { messages, formats, culture } = this.props;
+
+      if (!this.calendar || !this.calendar.announce) return;
+
+      this.calendar.announce(
+        message(messages)[messageKey](
+          subject,
+          describeRange(parse(start), parse(end), { formats: defaultFormats(formats), culture }),
+        ),
+      );
+    }
+
+    handleEventDrop = (type, { start, end, ...info }) => {
+      if (type === 'drop' && !this.canDropAt({ ...info, start, end })) return;
+
+      const moves = type === 'drop' && this.moveGroup(info.event, start, end);
+      if (moves) {
+        this.announceGroup('announceEventsDrop', moves);
+        return this.handleGroupDrop(moves);
+      }
+      if (type === 'drop') this.announce('announceEventDrop', info.event, start, end);
+
+      // without onEventTransfer, events from other calendars drop like those of this one
+      const item = this.monitor.getItem();
+      if (type === 'drop' && this.props.onEventTransfer && this.isTransfer(item)) {
+        return this.props.onEventTransfer({
+          ...info,
+          fromCalendar: item.calendar.props.name,
+          toCalendar: this.props.name,
+          start: this.toInstant(start),
+          end: this.toInstant(end),
+        });
+      }
+
+      const drop = { ...info, start: this.toInstant(start), end: this.toInstant(end) };
+
+      if (type === 'drop') {
+        const origin = { ...info, ...this.originOf(info) };
+        this.record(
+          () => this.props.onEventDrop('drop', origin),
+          () => this.props.onEventDrop('drop', drop),
+        );
+      }
+
+      this.props.onEventDrop(type, drop);
+    };
+
+    handleEventResize = (type, { start, end, ...info }) => {
+      if (type === 'drop' && !this.canDropAt({ ...info, start, end })) return;
+
+      const moves = this.moveGroup(info.event, start, end);
+      if (moves && type === 'drop') {
+        this.announceGroup('announceEventsResize', moves);
+        return this.handleGroupDrop(moves);
+      }
+      if (type === 'drop') this.announce('announceEventResize', info.event, start, end);
+      if (moves) this.previewGroup(info.event, start, end);
+
+      const resize = { ...info, start: this.toInstant(start), end: this.toInstant(end) };
+
+      if (type === 'drop') {
+        const origin = { ...info, ...this.originOf(info) };
+        this.record(
+          () => this.props.onEventResize('drop', origin),
+          () => this.props.onEventResize('drop', resize),
+        );
+      }
+
+      this.props.onEventResize(type, resize);
+    };
+
+    // `previous` is the order of the events in the row before the drag
+    handleEventReorder = (events, previous) => {
+      this.record(
+        () => this.props.onEventReorder(previous),
+        () => this.props.onEventReorder(events),
+      );
+      this.props.onEventReorder(events);
+    };
+
+    handleOutsideEventDrop = ({ start, ...info }) => {
+      this.props.onOutsideEventDrop({ ...info, start: this.toInstant(start) });
+    };
+
     handleEventUpdate = event => {
       const { id, start, end } = event;
       const { events } = this.props;
@@ -109,6 +495,18 @@ export default function withDragAndDrop(Calendar, { backend = html5Backend } = {
       delete props.onEventReorder;
       delete props.onOutsideEventDrop;
       delete props.onOutsideEventOrderAndDrop;
+      delete props.onEventTransfer;
+      delete props.onEventsDrop;
+      delete props.name;
+      delete props.draggableAccessor;
+      delete props.resizableAccessor;
+      delete props.canDrop;
+      delete props.dropConstraints;
+
+      if (this.props.canDrop || this.props.dropConstraints) {
+        props.onSelecting = this.handleSelecting;
+        if (props.onSelectSlot) props.onSelectSlot = this.handleSelectSlot;
+      }
 
       props.selectable = selectable ? 'ignoreEvents' : false;
 
@@ -123,23 +521,90 @@ export default function withDragAndDrop(Calendar, { backend = html5Backend } = {
         dayWrapper: DayWrapper,
         eventWrapper: DraggableEventWrapper,
         dateContentRowWrapper: DateContentRowWrapper,
+        dayColumnWrapper: DayColumnWrapper,
       };
 
-      return <Calendar {...props} events={events} />;
+      return <Calendar {...props} ref={this.createCalendarRef} events={events} />;
     }
   }
 
   DragAndDropCalendar.propTypes = {
+    /**
+     * Whether an event can be dragged, read from each event; without it every event can be
+     * but those with `locked: true`. Events are not dragged while their title is edited in
+     * place.
+     *
+     * ```js
+     * string | (event: Object) => boolean
+     * ```
+     */
+    draggableAccessor: accessor,
+
+    /**
+     * Whether an event can be resized, read from each event like `draggableAccessor`. The
+     * `ResizableMonthEvent` and `ResizableTimeEvent` components leave out their resize
+     * anchors for events that can't be.
+     */
+    resizableAccessor: accessor,
+
+    /**
+     * Decides whether an event may be dropped or resized to a range, while it is dragged:
+     * targets it may not land on are marked `rbc-addons-dnd-invalid` and refuse the drop.
+     * Slot selections are held to it as well, with no `event`. Return `false` to refuse.
+     *
+     * ```js
+     * ({ event: ?Object, start: Date, end: Date, resourceId: ?any }) => boolean
+     * ```
+     */
+    canDrop: PropTypes.func,
+
+    /**
+     * Rules checked along with `canDrop`:
+     *
+     * - `minDuration` and `maxDuration`, in minutes
+     * - `weekdays`, the days of the week events may fall on, `0` being Sunday
+     * - `noOverlap`, `true` to keep events from overlapping others, or a function that
+     *   picks the events not to overlap
+     *
+     * ```js
+     * dropConstraints={{ maxDuration: 8 * 60, weekdays: [1, 2, 3, 4, 5], noOverlap: true }}
+     * ```
+     */
+    dropConstraints: constraintsShape,
+
     endAccessor: accessor,
     onEventDrop: PropTypes.func.isRequired,
     onEventResize: PropTypes.func,
     onEventReorder: PropTypes.func,
     onOutsideEventDrop: PropTypes.func,
+
+    /**
+     * Called instead of `onEventDrop` when an event from another calendar is dropped on
+     * this one, with `{event, fromCalendar, toCalendar, start, end}`. The calendars are
+     * identified by their `name`. Without it such a drop goes to this calendar's
+     * `onEventDrop`, as though the event were one of its own.
+     */
+    onEventTransfer: PropTypes.func,
+
+    /**
+     * Called instead of `onEventDrop` and `onEventResize` when one of several selected
+     * events is dragged: every selected event moves by as much as the dragged one, and they
+     * are reported together as `[{event, start, end}]`.
+     */
+    onEventsDrop: PropTypes.func,
+
+    // identifies the calendar in `onEventTransfer`
+    name: PropTypes.string,
+
+    resourceAccessor: accessor,
     startAccessor: accessor,
+    timezone: PropTypes.string,
+    timezoneAccessor: accessor,
   };
 
   DragAndDropCalendar.defaultProps = {
     endAccessor: 'end',
+    longPressThreshold,
     startAccessor: 'start',
   };
 
@@ -150,6 +615,9 @@ export default function withDragAndDrop(Calendar, { backend = html5Backend } = {
   };
 
   DragAndDropCalendar.childContextTypes = {
+    dragAndDropCalendar: PropTypes.object,
+    dragPreviews: PropTypes.array,
+    draggableAccessor: accessor,
     endAccessor: accessor,
     getInternalState: PropTypes.func,
     onEventDrop: PropTypes.func,
@@ -158,6 +626,8 @@ export default function withDragAndDrop(Calendar, { backend = html5Backend } = {
     onEventUpdate: PropTypes.func,
     onOutsideEventDrop: PropTypes.func,
     onOutsideEventOrderAndDrop: PropTypes.func,
+    previewGroup: PropTypes.func,
+    resizableAccessor: accessor,
     setInternalState: PropTypes.func,
     startAccessor: accessor,
   };
@@ -38,6 +38,8 @@ let formats = {
   timeGutterFormat: 'h:mm tt',
 
   monthHeaderFormat: 'MMMM yyyy',
+  yearHeaderFormat: 'yyyy',
+  yearMonthFormat: 'MMMM',
   dayHeaderFormat: 'dddd MMM dd',
   dayRangeHeaderFormat: weekRangeFormat,
   agendaHeaderFormat: dateRangeFormat,
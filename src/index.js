@@ -2,6 +2,7 @@ import Calendar from './Calendar';
 import EventWrapper from './EventWrapper';
 import BackgroundWrapper from './BackgroundWrapper';
 import DateContentRowWrapper from './DateContentRowWrapper';
+import DayColumnWrapper from './DayColumnWrapper';
 import { set as setLocalizer } from './localizer';
 import momentLocalizer from './localizers/moment';
 import globalizeLocalizer from './localizers/globalize';
@@ -20,6 +21,7 @@ Object.assign(Calendar, {
     dayWrapper: BackgroundWrapper,
     dateCellWrapper: BackgroundWrapper,
     dateContentRowWrapper: DateContentRowWrapper,
+    dayColumnWrapper: DayColumnWrapper,
   },
 });
 
@@ -38,6 +38,8 @@ export let formats = {
   timeGutterFormat: { time: 'short' },
 
   monthHeaderFormat: 'MMMM yyyy',
+  yearHeaderFormat: 'yyyy',
+  yearMonthFormat: 'MMMM',
   dayHeaderFormat: 'eeee MMM dd',
   dayRangeHeaderFormat: weekRangeFormat,
   agendaHeaderFormat: dateRangeFormat,
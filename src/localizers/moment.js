@@ -32,6 +32,8 @@ export let formats = {
   timeGutterFormat: 'LT',
 
   monthHeaderFormat: 'MMMM YYYY',
+  yearHeaderFormat: 'YYYY',
+  yearMonthFormat: 'MMMM',
   dayHeaderFormat: 'dddd MMM DD',
   dayRangeHeaderFormat: weekRangeFormat,
   agendaHeaderFormat: dateRangeFormat,
@@ -32,6 +32,8 @@ export let formats = {
   timeGutterFormat: 't',
 
   monthHeaderFormat: 'Y',
+  yearHeaderFormat: 'yyyy',
+  yearMonthFormat: 'MMMM',
   dayHeaderFormat: 'dddd MMM dd',
   dayRangeHeaderFormat: weekRangeFormat,
   agendaHeaderFormat: dateRangeFormat,
@@ -0,0 +1,53 @@
+import inBusinessHours, { hoursFor, isBusinessDay, isBusinessTime } from '../businessHours';
+
+describe('businessHours', () => {
+  const businessHours = [
+    { days: [1, 2, 3, 4, 5], start: '09:00', end: '12:00' },
+    { days: [1, 2, 3, 4, 5], start: '12:00', end: '17:00' },
+    { days: [6], start: '20:00', end: '24:00' },
+    { days: [0], start: '00:00', end: '02:00' },
+    { days: [1], start: '06:00', end: '08:00', resourceId: 'a' },
+  ];
+
+  it('uses the ranges of a resource, or the shared ones', () => {
+    expect(hoursFor(businessHours, 'a')).toHaveLength(1);
+    expect(hoursFor(businessHours, 'b')).toHaveLength(4);
+    expect(hoursFor(businessHours)).toHaveLength(4);
+  });
+
+  it('knows the working days', () => {
+    // Mon 8th and Sun 7th of January 2018
+    expect(isBusinessDay(businessHours, new Date(2018, 0, 8))).toBe(true);
+    expect(isBusinessDay(businessHours, new Date(2018, 0, 7))).toBe(true);
+    expect(isBusinessDay(businessHours, new Date(2018, 0, 9), 'a')).toBe(false);
+  });
+
+  it('checks times against the ranges', () => {
+    let check = (start, end, resourceId) => isBusinessTime(businessHours, start, end, resourceId);
+
+    expect(check(new Date(2018, 0, 8, 9), new Date(2018, 0, 8, 9, 30))).toBe(true);
+    expect(check(new Date(2018, 0, 8, 8, 30), new Date(2018, 0, 8, 9, 30))).toBe(false);
+    expect(check(new Date(2018, 0, 8, 11), new Date(2018, 0, 8, 17))).toBe(true);
+    expect(check(new Date(2018, 0, 8, 16), new Date(2018, 0, 8, 18))).toBe(false);
+    expect(check(new Date(2018, 0, 6, 23), new Date(2018, 0, 7, 1))).toBe(true);
+    expect(check(new Date(2018, 0, 8, 6), new Date(2018, 0, 8, 7), 'a')).toBe(true);
+    expect(check(new Date(2018, 0, 8, 9), new Date(2018, 0, 8, 10), 'a')).toBe(false);
+  });
+
+  it('only needs working days for whole days', () => {
+    let range = (start, end) => ({ start, end });
+
+    expect(inBusinessHours(businessHours, range(new Date(2018, 0, 8), new Date(2018, 0, 10)))).toBe(
+      true,
+    );
+    expect(inBusinessHours(businessHours, range(new Date(2018, 0, 5), new Date(2018, 0, 8)))).toBe(
+      true,
+    );
+    expect(
+      inBusinessHours(businessHours, {
+        ...range(new Date(2018, 0, 8), new Date(2018, 0, 10)),
+        resourceId: 'a',
+      }),
+    ).toBe(false);
+  });
+});
@@ -0,0 +1,71 @@
+import dates from '../dates';
+import { endOfRange, eventSegments, inDays } from '../eventLevels';
+
+const accessors = { startAccessor: 'start', endAccessor: 'end' };
+
+describe('eventSegments()', () => {
+  test('segments events by day', () => {
+    const range = dates.range(new Date(2018, 0, 1), new Date(2018, 0, 7));
+    const { first, last } = endOfRange(range);
+    const event = { start: new Date(2018, 0, 2, 10), end: new Date(2018, 0, 4, 12) };
+
+    expect(eventSegments(event, first, last, accessors, range)).toMatchObject({
+      left: 2,
+      right: 4,
+      span: 3,
+    });
+  });
+
+  test('segments events by a smaller unit', () => {
+    const range = dates.range(new Date(2018, 0, 1, 8), new Date(2018, 0, 1, 17), 'hours');
+    const { first, last } = endOfRange(range, 'hours');
+    const event = { start: new Date(2018, 0, 1, 9, 30), end: new Date(2018, 0, 1, 11, 15) };
+
+    expect(eventSegments(event, first, last, accessors, range, 0, 'hours')).toMatchObject({
+      left: 2,
+      right: 4,
+      span: 3,
+    });
+  });
+
+  test('clamps events to the range', () => {
+    const range = dates.range(new Date(2018, 0, 1, 8), new Date(2018, 0, 1, 17), 'hours');
+    const { first, last } = endOfRange(range, 'hours');
+    const event = { start: new Date(2017, 11, 31), end: new Date(2018, 0, 2) };
+
+    expect(eventSegments(event, first, last, accessors, range, 0, 'hours')).toMatchObject({
+      left: 1,
+      right: 10,
+      span: 10,
+    });
+  });
+
+  test('spans hidden days as one segment', () => {
+    // Monday to Sunday without Wednesday
+    const range = dates
+      .range(new Date(2018, 0, 1), new Date(2018, 0, 7))
+      .filter(d => d.getDay() !== 3);
+    const { first, last } = endOfRange(range);
+    const event = { start: new Date(2018, 0, 2, 10), end: new Date(2018, 0, 4, 12) };
+
+    expect(eventSegments(event, first, last, accessors, range)).toMatchObject({
+      left: 2,
+      right: 3,
+      span: 2,
+    });
+  });
+});
+
+describe('inDays()', () => {
+  const range = dates
+    .range(new Date(2018, 0, 1), new Date(2018, 0, 7))
+    .filter(d => d.getDay() !== 3);
+
+  test('leaves out events on hidden days only', () => {
+    const hidden = { start: new Date(2018, 0, 3, 10), end: new Date(2018, 0, 3, 12) };
+    const across = { start: new Date(2018, 0, 3, 10), end: new Date(2018, 0, 4, 12) };
+
+    expect(inDays(hidden, range, accessors)).toBe(false);
+    expect(inDays(across, range, accessors)).toBe(true);
+  });
+});
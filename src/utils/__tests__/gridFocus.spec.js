@@ -0,0 +1,85 @@
+import GridFocus, { findNextItem } from '../gridFocus';
+
+// lays the cells out as a grid of 100px squares, row by row
+function createGrid(rows, columns) {
+  let node = document.createElement('div');
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      let cell = document.createElement('div');
+      let rect = { top: row * 100, left: column * 100, width: 100, height: 100 };
+
+      cell.setAttribute('role', 'gridcell');
+      cell.getBoundingClientRect = () => ({
+        ...rect,
+        right: rect.left + rect.width,
+        bottom: rect.top + rect.height,
+      });
+      node.appendChild(cell);
+    }
+  }
+
+  document.body.appendChild(node);
+  return node;
+}
+
+let keyDown = (node, keyCode) => {
+  let event = document.createEvent('Event');
+  event.initEvent('keydown', true, true);
+  event.keyCode = keyCode;
+  node.dispatchEvent(event);
+  return event;
+};
+
+describe('findNextItem()', () => {
+  test('moves between cells that line up', () => {
+    let cells = [].slice.call(createGrid(2, 3).children);
+
+    expect(findNextItem(cells, cells[0], 'right')).toBe(cells[1]);
+    expect(findNextItem(cells, cells[1], 'down')).toBe(cells[4]);
+    expect(findNextItem(cells, cells[4], 'left')).toBe(cells[3]);
+    expect(findNextItem(cells, cells[3], 'up')).toBe(cells[0]);
+  });
+
+  test('stops at the edges', () => {
+    let cells = [].slice.call(createGrid(2, 3).children);
+
+    expect(findNextItem(cells, cells[2], 'right')).toBeUndefined();
+    expect(findNextItem(cells, cells[0], 'up')).toBeUndefined();
+  });
+});
+
+describe('GridFocus', () => {
+  test('keeps a single tab stop', () => {
+    let node = createGrid(2, 3);
+    let cells = node.children;
+    let focus = new GridFocus(node, { initial: [':nth-child(2)'] });
+
+    expect(cells[1].getAttribute('tabindex')).toBe('0');
+    expect(node.querySelectorAll('[tabindex="-1"]').length).toBe(5);
+
+    cells[4].focus();
+
+    expect(cells[4].getAttribute('tabindex')).toBe('0');
+    expect(cells[1].getAttribute('tabindex')).toBe('-1');
+
+    focus.teardown();
+  });
+
+  test('moves the focus with the arrow keys', () => {
+    let node = createGrid(2, 3);
+    let cells = node.children;
+    let focus = new GridFocus(node);
+
+    cells[0].focus();
+    let event = keyDown(cells[0], 39);
+
+    expect(document.activeElement).toBe(cells[1]);
+    expect(event.defaultPrevented).toBe(true);
+
+    keyDown(cells[1], 40);
+    expect(document.activeElement).toBe(cells[4]);
+
+    focus.teardown();
+  });
+});
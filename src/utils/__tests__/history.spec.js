@@ -0,0 +1,46 @@
+import History from '../history';
+
+describe('History', () => {
+  const change = (log, name) => ({
+    undo: () => log.push('undo ' + name),
+    redo: () => log.push('redo ' + name),
+  });
+
+  test('undoes and redoes changes in order', () => {
+    const log = [];
+    const history = new History();
+
+    history.push(change(log, 'a'));
+    history.push(change(log, 'b'));
+
+    expect(history.undo()).toBe(true);
+    expect(history.undo()).toBe(true);
+    expect(history.undo()).toBe(false);
+    expect(history.redo()).toBe(true);
+
+    expect(log).toEqual(['undo b', 'undo a', 'redo a']);
+  });
+
+  test('a new change clears the redo stack', () => {
+    const log = [];
+    const history = new History();
+
+    history.push(change(log, 'a'));
+    history.undo();
+    history.push(change(log, 'b'));
+
+    expect(history.redo()).toBe(false);
+  });
+
+  test('keeps at most `limit` changes', () => {
+    const log = [];
+    const history = new History({ limit: 1 });
+
+    history.push(change(log, 'a'));
+    history.push(change(log, 'b'));
+
+    expect(history.undo()).toBe(true);
+    expect(history.undo()).toBe(false);
+    expect(log).toEqual(['undo b']);
+  });
+});
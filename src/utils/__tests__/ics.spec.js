@@ -0,0 +1,61 @@
+import toICalendar from '../ics';
+
+describe('toICalendar()', () => {
+  const now = new Date('2018-03-10T12:00:00.000Z');
+
+  test('writes timed events in UTC', () => {
+    const ics = toICalendar(
+      [
+        {
+          uid: '1@test',
+          title: 'Standup',
+          start: new Date(2018, 2, 12, 9, 30),
+          end: new Date(2018, 2, 12, 10),
+        },
+      ],
+      { timezone: 'Asia/Tokyo', now },
+    );
+
+    expect(ics.split('\r\n')).toEqual([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//react-big-calendar//EN',
+      'BEGIN:VEVENT',
+      'UID:1@test',
+      'DTSTAMP:20180310T120000Z',
+      'DTSTART:20180312T003000Z',
+      'DTEND:20180312T010000Z',
+      'SUMMARY:Standup',
+      'END:VEVENT',
+      'END:VCALENDAR',
+      '',
+    ]);
+  });
+
+  test('writes all day events as dates with an exclusive end', () => {
+    const allDay = toICalendar(
+      [
+        {
+          uid: '1',
+          title: 'Offsite',
+          start: new Date(2018, 2, 12),
+          end: new Date(2018, 2, 12),
+          allDay: true,
+        },
+      ],
+      { now },
+    );
+
+    expect(allDay).toContain('DTSTART;VALUE=DATE:20180312\r\nDTEND;VALUE=DATE:20180313\r\n');
+  });
+
+  test('escapes and folds the summary', () => {
+    const title = 'Plan; review, ship\n' + 'x'.repeat(80);
+    const ics = toICalendar([{ uid: '1', title, start: now, end: now }], { now });
+
+    expect(ics.replace(/\r\n /g, '')).toContain(
+      'SUMMARY:Plan\\; review\\, ship\\n' + 'x'.repeat(80) + '\r\n',
+    );
+    ics.split('\r\n').forEach(line => expect(line.length).toBeLessThanOrEqual(75));
+  });
+});
@@ -0,0 +1,19 @@
+import keyBindings from '../keyBindings';
+
+describe('keyBindings()', () => {
+  test('merges bindings over the defaults', () => {
+    expect(keyBindings({ nextDay: 'l', today: ['t', 'home'] })).toMatchObject({
+      previousDay: 'left',
+      nextDay: 'l',
+      today: ['t', 'home'],
+    });
+  });
+
+  test('binds the clipboard actions', () => {
+    expect(keyBindings()).toMatchObject({ copy: 'mod+c', cut: 'mod+x', paste: 'mod+v' });
+  });
+
+  test('leaves out actions bound to a falsy value', () => {
+    expect(keyBindings({ deleteSelected: null })).not.toHaveProperty('deleteSelected');
+  });
+});
@@ -0,0 +1,161 @@
+import expandEvents, { expandEvent, occurrenceAccessor } from '../recurrence';
+
+const accessors = {
+  recurrenceAccessor: 'rrule',
+  startAccessor: 'start',
+  endAccessor: 'end',
+};
+
+const standup = {
+  id: 1,
+  title: 'Standup',
+  start: new Date(2018, 0, 1, 9, 30),
+  end: new Date(2018, 0, 1, 10),
+  rrule: 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE',
+};
+
+describe('Recurrence', () => {
+  describe('expandEvent()', () => {
+    test('returns events without a rule as is', () => {
+      const event = { ...standup, rrule: null };
+      const occurrences = expandEvent(
+        event,
+        new Date(2018, 0, 1),
+        new Date(2018, 0, 31),
+        accessors,
+      );
+
+      expect(occurrences).toEqual([event]);
+    });
+
+    test('expands occurrences inside the range only', () => {
+      const occurrences = expandEvent(
+        standup,
+        new Date(2018, 0, 8),
+        new Date(2018, 0, 14, 23, 59),
+        accessors,
+      );
+
+      expect(occurrences.map(o => o.start)).toEqual([
+        new Date(2018, 0, 8, 9, 30),
+        new Date(2018, 0, 10, 9, 30),
+      ]);
+      expect(occurrences.map(o => o.end)).toEqual([
+        new Date(2018, 0, 8, 10),
+        new Date(2018, 0, 10, 10),
+      ]);
+    });
+
+    test('references the master event and the occurrence date', () => {
+      const [occurrence] = expandEvent(
+        standup,
+        new Date(2018, 0, 3),
+        new Date(2018, 0, 3, 23, 59),
+        accessors,
+      );
+
+      expect(occurrence.masterEvent).toBe(standup);
+      expect(occurrence.occurrenceDate).toEqual(new Date(2018, 0, 3, 9, 30));
+      expect(occurrence.id).not.toEqual(standup.id);
+      expect(occurrence.title).toEqual(standup.title);
+    });
+
+    test('honors EXDATE and RDATE', () => {
+      const event = {
+        ...standup,
+        rrule: [standup.rrule, 'EXDATE:20180108T093000', 'RDATE:20180109T093000'],
+      };
+      const occurrences = expandEvent(
+        event,
+        new Date(2018, 0, 8),
+        new Date(2018, 0, 10, 23, 59),
+        accessors,
+      );
+
+      expect(occurrences.map(o => o.start)).toEqual([
+        new Date(2018, 0, 9, 9, 30),
+        new Date(2018, 0, 10, 9, 30),
+      ]);
+    });
+
+    test('repeats a UTC DTSTART at the same UTC time', () => {
+      const event = {
+        ...standup,
+        rrule: [
+          'DTSTART:20180108T143000Z',
+          'RRULE:FREQ=WEEKLY;BYDAY=MO,WE',
+          'EXDATE:20180110T143000Z',
+        ],
+      };
+      const occurrences = expandEvent(
+        event,
+        new Date(Date.UTC(2018, 0, 8)),
+        new Date(Date.UTC(2018, 0, 15, 23, 59)),
+        accessors,
+      );
+
+      expect(occurrences.map(o => o.start)).toEqual([
+        new Date(Date.UTC(2018, 0, 8, 14, 30)),
+        new Date(Date.UTC(2018, 0, 15, 14, 30)),
+      ]);
+    });
+
+    test('lines up UTC dates left out of a local rule', () => {
+      const exdate = new Date(2018, 0, 10, 9, 30);
+      const event = {
+        ...standup,
+        rrule: [standup.rrule, 'EXDATE:' + exdate.toISOString().replace(/[-:]|\.\d+/g, '')],
+      };
+      const occurrences = expandEvent(
+        event,
+        new Date(2018, 0, 8),
+        new Date(2018, 0, 10, 23, 59),
+        accessors,
+      );
+
+      expect(occurrences.map(o => o.start)).toEqual([new Date(2018, 0, 8, 9, 30)]);
+    });
+
+    test('includes occurrences that started before the range', () => {
+      const event = {
+        ...standup,
+        end: new Date(2018, 0, 2, 12),
+        rrule: 'RRULE:FREQ=WEEKLY',
+      };
+      const occurrences = expandEvent(
+        event,
+        new Date(2018, 0, 9),
+        new Date(2018, 0, 9, 23, 59),
+        accessors,
+      );
+
+      expect(occurrences.map(o => o.start)).toEqual([new Date(2018, 0, 8, 9, 30)]);
+    });
+  });
+
+  test('expandEvents() flattens every event', () => {
+    const single = { id: 2, start: new Date(2018, 0, 2), end: new Date(2018, 0, 3) };
+    const events = expandEvents(
+      [standup, single],
+      new Date(2018, 0, 1),
+      new Date(2018, 0, 7, 23, 59),
+      accessors,
+    );
+
+    expect(events.length).toEqual(3);
+    expect(events).toContain(single);
+  });
+
+  test('occurrenceAccessor() reads occurrence dates first', () => {
+    const start = occurrenceAccessor(e => e.start, 'occurrenceDate');
+    const [occurrence] = expandEvent(
+      standup,
+      new Date(2018, 0, 3),
+      new Date(2018, 0, 3, 23, 59),
+      accessors,
+    );
+
+    expect(start(standup)).toBe(standup.start);
+    expect(start(occurrence)).toEqual(new Date(2018, 0, 3, 9, 30));
+  });
+});
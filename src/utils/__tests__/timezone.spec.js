@@ -0,0 +1,52 @@
+import { toZoned, fromZoned, getOffset, zonedAccessor } from '../timezone';
+
+describe('Timezone', () => {
+  const instant = new Date('2018-03-10T15:30:00.000Z');
+
+  test('getOffset() follows daylight saving time', () => {
+    expect(getOffset(instant, 'America/New_York')).toEqual(-5 * 60 * 60 * 1000);
+    expect(getOffset(new Date('2018-03-12T15:30:00.000Z'), 'America/New_York')).toEqual(
+      -4 * 60 * 60 * 1000,
+    );
+  });
+
+  test('toZoned() reads as the wall clock of the zone', () => {
+    const zoned = toZoned(instant, 'Asia/Tokyo');
+
+    expect(zoned.getFullYear()).toEqual(2018);
+    expect(zoned.getMonth()).toEqual(2);
+    expect(zoned.getDate()).toEqual(11);
+    expect(zoned.getHours()).toEqual(0);
+    expect(zoned.getMinutes()).toEqual(30);
+  });
+
+  test('fromZoned() is the inverse of toZoned()', () => {
+    ['America/New_York', 'Asia/Kolkata', 'Europe/London'].forEach(zone => {
+      expect(fromZoned(toZoned(instant, zone), zone)).toEqual(instant);
+    });
+  });
+
+  test('leaves dates untouched without a zone', () => {
+    expect(toZoned(instant)).toBe(instant);
+    expect(fromZoned(instant)).toBe(instant);
+  });
+
+  test('zonedAccessor() reads event dates in their own zone', () => {
+    const start = zonedAccessor('start', {
+      timezone: 'Asia/Tokyo',
+      timezoneAccessor: 'zone',
+    });
+    const event = { start: new Date(2018, 2, 10, 10, 30), zone: 'Europe/London' };
+
+    // 10:30 in London is 19:30 in Tokyo
+    expect(start(event).getHours()).toEqual(19);
+    expect(start(event).getMinutes()).toEqual(30);
+  });
+
+  test('zonedAccessor() converts dates given as strings and timestamps', () => {
+    const start = zonedAccessor('start', { timezone: 'Asia/Tokyo' });
+
+    expect(start({ start: '2018-03-10T15:30:00.000Z' })).toEqual(toZoned(instant, 'Asia/Tokyo'));
+    expect(start({ start: +instant })).toEqual(toZoned(instant, 'Asia/Tokyo'));
+  });
+});
@@ -0,0 +1,67 @@
+import dates from './dates';
+
+// a wall clock time of `day`, from 'HH:mm'; '24:00' is the end of the day
+let timeOn = (day, time) => {
+  let [hours, minutes] = time.split(':');
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), +hours, +minutes || 0);
+};
+
+// the end of the range of `hours` that `date` falls in, if any
+let rangeEndAt = (hours, date) => {
+  let day = dates.startOf(date, 'day');
+
+  return hours
+    .filter(r => r.days.indexOf(day.getDay()) !== -1)
+    .map(r => ({ start: timeOn(day, r.start), end: timeOn(day, r.end) }))
+    .filter(r => dates.lte(r.start, date) && dates.gt(r.end, date))
+    .map(r => r.end)[0];
+};
+
+/**
+ * The ranges of `businessHours` that apply to `resourceId`: the ones of that resource, or
+ * when it has none the ones without a resource.
+ */
+export function hoursFor(businessHours, resourceId) {
+  let own = resourceId == null ? [] : businessHours.filter(r => r.resourceId === resourceId);
+
+  return own.length ? own : businessHours.filter(r => r.resourceId == null);
+}
+
+/**
+ * Whether the weekday of `date` has working hours.
+ */
+export function isBusinessDay(businessHours, date, resourceId) {
+  return hoursFor(businessHours, resourceId).some(r => r.days.indexOf(date.getDay()) !== -1);
+}
+
+/**
+ * Whether the whole of `start` to `end` falls within working hours. Adjoining ranges, also
+ * across midnight, count as one.
+ */
+export function isBusinessTime(businessHours, start, end, resourceId) {
+  let hours = hoursFor(businessHours, resourceId);
+  let cursor = start;
+
+  while (dates.lt(cursor, end)) {
+    cursor = rangeEndAt(hours, cursor);
+    if (!cursor) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Whether `{ start, end }` keeps to `businessHours`. A range of whole days only needs each
+ * of its days to be a working day.
+ */
+export default function inBusinessHours(businessHours, { start, end, resourceId }) {
+  if (dates.isJustDate(start) && dates.isJustDate(end) && dates.gt(end, start)) {
+    for (let day = start; dates.lt(day, end); day = dates.add(day, 1, 'day')) {
+      if (!isBusinessDay(businessHours, day, resourceId)) return false;
+    }
+
+    return true;
+  }
+
+  return isBusinessTime(businessHours, start, end, resourceId);
+}
@@ -0,0 +1,30 @@
+import events from 'dom-helpers/events';
+
+/**
+ * Puts `data`, an object of mime type to text, on the system clipboard. Browsers only
+ * hand out the clipboard data from within a `copy` event, so one is triggered with
+ * `execCommand`; returns whether it went through.
+ */
+export default function writeClipboard(data) {
+  let written = false;
+
+  let handleCopy = e => {
+    if (!e.clipboardData) return;
+
+    Object.keys(data).forEach(type => e.clipboardData.setData(type, data[type]));
+    e.preventDefault();
+    written = true;
+  };
+
+  events.on(document, 'copy', handleCopy);
+
+  try {
+    document.execCommand('copy');
+  } catch (err) {
+    // not supported, the events are still copied within the calendar
+  } finally {
+    events.off(document, 'copy', handleCopy);
+  }
+
+  return written;
+}
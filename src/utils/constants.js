@@ -14,5 +14,8 @@ export let views = {
   WEEK: 'week',
   WORK_WEEK: 'work_week',
   DAY: 'day',
+  DAYS: 'days',
   AGENDA: 'agenda',
+  YEAR: 'year',
+  TIMELINE: 'timeline',
 };
@@ -32,13 +32,13 @@ let dates = {
     return dates.endOf(endOfMonth, 'week', localizer.startOfWeek(culture));
   },
 
-  visibleDays(date, culture) {
+  visibleDays(date, culture, hiddenDays = []) {
     let current = dates.firstVisibleDay(date, culture),
       last = dates.lastVisibleDay(date, culture),
       days = [];
 
     while (dates.lte(current, last, 'day')) {
-      days.push(current);
+      if (hiddenDays.indexOf(current.getDay()) === -1) days.push(current);
       current = dates.add(current, 1, 'day');
     }
 
@@ -0,0 +1,29 @@
+import dates from './dates';
+import localizer from '../localizer';
+
+/**
+ * Spells out a date range for the live region, e.g. "Wednesday Jan 03 9:00 AM — 10:30AM".
+ * Ranges of whole days, like month view selections, leave the times out.
+ */
+export default function describeRange(start, end, { formats, culture }) {
+  let format = (value, fmt) => localizer.format(value, fmt, culture);
+
+  if (dates.isJustDate(start) && dates.isJustDate(end)) {
+    if (dates.eq(start, end, 'day')) return format(start, formats.dayHeaderFormat);
+
+    return format({ start, end }, formats.dayRangeHeaderFormat);
+  }
+
+  if (dates.eq(start, end, 'day')) {
+    return (
+      format(start, formats.dayHeaderFormat) +
+      ' ' +
+      format({ start, end }, formats.selectRangeFormat)
+    );
+  }
+
+  let describe = date =>
+    format(date, formats.dayHeaderFormat) + ' ' + format(date, formats.timeGutterFormat);
+
+  return describe(start) + ' — ' + describe(end);
+}
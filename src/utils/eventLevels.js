@@ -9,15 +9,22 @@ export function endOfRange(dateRange, unit = 'day') {
   };
 }
 
-export function eventSegments(event, first, last, { startAccessor, endAccessor }, range, level) {
-  let slots = dates.diff(first, last, 'day');
-  let start = dates.max(dates.startOf(get(event, startAccessor), 'day'), first);
-  let end = dates.min(dates.ceil(get(event, endAccessor), 'day'), last);
+export function eventSegments(
+  event,
+  first,
+  last,
+  { startAccessor, endAccessor },
+  range,
+  level,
+  unit = 'day',
+) {
+  let start = dates.max(dates.startOf(get(event, startAccessor), unit), first);
+  let end = dates.min(dates.ceil(get(event, endAccessor), unit), last);
+
+  // the range can skip hidden days, the segment spans the ones shown from start to end
+  let padding = findIndex(range, x => dates.gte(x, start, unit));
+  let span = range.filter(x => dates.gte(x, start, unit) && dates.lt(x, end, unit)).length;
 
-  let padding = findIndex(range, x => dates.eq(x, start, 'day'));
-  let span = dates.diff(start, end, 'day');
-
-  span = Math.min(span, slots);
   span = Math.max(span, 1);
 
   return {
@@ -71,6 +78,23 @@ export function inRange(e, start, end, { startAccessor, endAccessor }) {
   return startsBeforeEnd && endsAfterStart;
 }
 
+/**
+ * Whether `e` shows on one of the days of `range`. Unlike `inRange` this leaves out the
+ * events that fall between the days of a range that skips hidden days.
+ */
+export function inDays(e, range, { startAccessor, endAccessor }) {
+  let first = range[0];
+  let last = range[range.length - 1];
+
+  if (!inRange(e, first, last, { startAccessor, endAccessor })) return false;
+  if (dates.diff(first, last, 'day') + 1 === range.length) return true;
+
+  let start = dates.startOf(get(e, startAccessor), 'day');
+  let end = dates.max(dates.ceil(get(e, endAccessor), 'day'), dates.add(start, 1, 'day'));
+
+  return range.some(day => dates.gte(day, start, 'day') && dates.lt(day, end, 'day'));
+}
+
 export function segsOverlap(seg, otherSegs) {
   return otherSegs.some(otherSeg => otherSeg.left <= seg.right && otherSeg.right >= seg.left);
 }
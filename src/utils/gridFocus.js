@@ -0,0 +1,127 @@
+import contains from 'dom-helpers/query/contains';
+import matches from 'dom-helpers/query/matches';
+import qsa from 'dom-helpers/query/querySelectorAll';
+import events from 'dom-helpers/events';
+
+// everything arrow keys can move the focus to: day cells, time slots, events,
+// drill-down and "show more" buttons
+export const FOCUSABLE = '[role="gridcell"], [role="button"], button';
+
+const DIRECTIONS = {
+  37: 'left',
+  38: 'up',
+  39: 'right',
+  40: 'down',
+};
+
+let overlaps = (a, b, vertical) =>
+  vertical ? a.left < b.right && a.right > b.left : a.top < b.bottom && a.bottom > b.top;
+
+/**
+ * Picks the item closest to `current` in the given direction, looking only at
+ * items that line up with it. Ties go to the item nearest on the other axis.
+ */
+export function findNextItem(items, current, direction) {
+  let from = current.getBoundingClientRect();
+  let vertical = direction === 'up' || direction === 'down';
+  let sign = direction === 'down' || direction === 'right' ? 1 : -1;
+  let next, nextDistance, nextOffset;
+
+  items.forEach(item => {
+    if (item === current) return;
+
+    let rect = item.getBoundingClientRect();
+    if (!rect.width || !rect.height || !overlaps(rect, from, vertical)) return;
+
+    let distance = sign * (vertical ? rect.top - from.top : rect.left - from.left);
+    let offset = Math.abs(vertical ? rect.left - from.left : rect.top - from.top);
+
+    if (distance <= 0) return;
+
+    if (!next || distance < nextDistance || (distance === nextDistance && offset < nextOffset)) {
+      next = item;
+      nextDistance = distance;
+      nextOffset = offset;
+    }
+  });
+
+  return next;
+}
+
+/**
+ * Keeps a single tab stop in a grid (a roving tabindex) and moves the focus
+ * between its items with the arrow keys. Arrow keys handled here don't reach
+ * the calendar key bindings.
+ */
+export default class GridFocus {
+  constructor(node, { initial = [] } = {}) {
+    this.node = node;
+    this.initial = initial;
+
+    this._handleKeyDown = this._handleKeyDown.bind(this);
+    this._handleFocus = this._handleFocus.bind(this);
+
+    events.on(node, 'keydown', this._handleKeyDown);
+    events.on(node, 'focus', this._handleFocus, true);
+
+    this.update();
+  }
+
+  items() {
+    return qsa(this.node, FOCUSABLE);
+  }
+
+  // call after every render, items may have been added or replaced
+  update() {
+    let items = this.items();
+
+    if (!this._active || items.indexOf(this._active) === -1) {
+      this._active = this._initialItem(items);
+    }
+
+    items.forEach(item => setTabIndex(item, item === this._active ? 0 : -1));
+  }
+
+  teardown() {
+    events.off(this.node, 'keydown', this._handleKeyDown);
+    events.off(this.node, 'focus', this._handleFocus, true);
+  }
+
+  _initialItem(items) {
+    for (let i = 0; i < this.initial.length; i++) {
+      let item = items.filter(item => matches(item, this.initial[i]))[0];
+      if (item) return item;
+    }
+
+    return items[0];
+  }
+
+  _isItem(node) {
+    return node !== this.node && contains(this.node, node) && matches(node, FOCUSABLE);
+  }
+
+  _handleFocus({ target }) {
+    if (!this._isItem(target) || target === this._active) return;
+
+    if (this._active) setTabIndex(this._active, -1);
+    setTabIndex(target, 0);
+    this._active = target;
+  }
+
+  _handleKeyDown(e) {
+    let direction = DIRECTIONS[e.keyCode];
+
+    if (!direction || !this._isItem(e.target)) return;
+
+    let next = findNextItem(this.items(), e.target, direction);
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (next) next.focus();
+  }
+}
+
+function setTabIndex(node, value) {
+  if (node.getAttribute('tabindex') !== String(value)) node.setAttribute('tabindex', value);
+}
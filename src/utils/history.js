@@ -0,0 +1,37 @@
+/**
+ * Undo and redo stacks of changes. A change is an object with `undo()` and `redo()`
+ * functions, which replay it through the calendar callbacks; the host app stays in
+ * charge of the events.
+ */
+export default class History {
+  constructor({ limit = 100 } = {}) {
+    this.limit = limit;
+    this.done = [];
+    this.undone = [];
+  }
+
+  // a new change drops whatever was undone before it
+  push(change) {
+    this.done.push(change);
+    if (this.done.length > this.limit) this.done.shift();
+    this.undone = [];
+  }
+
+  undo() {
+    const change = this.done.pop();
+    if (!change) return false;
+
+    this.undone.push(change);
+    change.undo();
+    return true;
+  }
+
+  redo() {
+    const change = this.undone.pop();
+    if (!change) return false;
+
+    this.done.push(change);
+    change.redo();
+    return true;
+  }
+}
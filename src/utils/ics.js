@@ -0,0 +1,65 @@
+import dates from './dates';
+import { fromZoned } from './timezone';
+
+let pad = (value, length = 2) => {
+  let str = String(value);
+  while (str.length < length) str = '0' + str;
+  return str;
+};
+
+let formatDate = date =>
+  pad(date.getFullYear(), 4) + pad(date.getMonth() + 1) + pad(date.getDate());
+
+let formatUTC = date =>
+  pad(date.getUTCFullYear(), 4) +
+  pad(date.getUTCMonth() + 1) +
+  pad(date.getUTCDate()) +
+  'T' +
+  pad(date.getUTCHours()) +
+  pad(date.getUTCMinutes()) +
+  pad(date.getUTCSeconds()) +
+  'Z';
+
+let escapeText = text =>
+  String(text == null ? '' : text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// content lines are folded at 75 characters, continuing on lines that start with a space
+let fold = line => {
+  let parts = [line.slice(0, 75)];
+  for (let i = 75; i < line.length; i += 74) parts.push(' ' + line.slice(i, i + 74));
+  return parts.join('\r\n');
+};
+
+/**
+ * Serializes events to an iCalendar (`text/calendar`) document. `start` and `end` are wall
+ * clock times of the calendar `timezone`; all day events are written as dates.
+ */
+export default function toICalendar(events, { timezone, now = new Date() } = {}) {
+  let lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//react-big-calendar//EN'];
+
+  events.forEach(({ uid, title, start, end, allDay }) => {
+    lines.push('BEGIN:VEVENT', 'UID:' + uid, 'DTSTAMP:' + formatUTC(now));
+
+    if (allDay) {
+      let first = dates.startOf(start, 'day');
+      let last = dates.max(dates.ceil(end, 'day'), dates.add(first, 1, 'day'));
+
+      lines.push('DTSTART;VALUE=DATE:' + formatDate(first), 'DTEND;VALUE=DATE:' + formatDate(last));
+    } else {
+      lines.push(
+        'DTSTART:' + formatUTC(fromZoned(start, timezone)),
+        'DTEND:' + formatUTC(fromZoned(end, timezone)),
+      );
+    }
+
+    lines.push('SUMMARY:' + escapeText(title), 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
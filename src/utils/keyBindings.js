@@ -0,0 +1,36 @@
+import { navigate } from './constants';
+
+export let navigateActions = {
+  previousDay: navigate.PREVIOUS_DAY,
+  nextDay: navigate.NEXT_DAY,
+  previousWeek: navigate.PREVIOUS_WEEK,
+  nextWeek: navigate.NEXT_WEEK,
+  previous: navigate.PREVIOUS,
+  next: navigate.NEXT,
+  today: navigate.TODAY,
+};
+
+let defaultKeyBindings = {
+  previousDay: 'left',
+  nextDay: 'right',
+  previousWeek: 'up',
+  nextWeek: 'down',
+  deleteSelected: 'del',
+  copy: 'mod+c',
+  cut: 'mod+x',
+  paste: 'mod+v',
+  undo: 'mod+z',
+  redo: 'mod+shift+z',
+};
+
+/**
+ * Merges the bindings over the defaults. Actions bound to a falsy value are
+ * left out, which is how a default binding is turned off.
+ */
+export default function keyBindings(bindings) {
+  let merged = { ...defaultKeyBindings, ...bindings };
+
+  return Object.keys(merged)
+    .filter(action => !!merged[action])
+    .reduce((result, action) => ({ ...result, [action]: merged[action] }), {});
+}
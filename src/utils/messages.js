@@ -8,15 +8,27 @@ let defaultMessages = {
   week: 'week',
   work_week: 'work week',
   day: 'day',
+  days: 'days',
   month: 'month',
+  year: 'year',
+  timeline: 'timeline',
   previous: 'back',
   next: 'next',
   yesterday: 'yesterday',
   tomorrow: 'tomorrow',
   today: 'today',
   agenda: 'agenda',
+  noEvents: 'no events',
+  newEvent: 'New event',
 
   showMore: total => `+${total} more`,
+
+  announceNavigate: label => label,
+  announceSelectSlot: range => `Selected ${range}`,
+  announceEventDrop: (title, range) => `Moved ${title} to ${range}`,
+  announceEventResize: (title, range) => `Resized ${title} to ${range}`,
+  announceEventsDrop: (titles, range) => `Moved ${titles.join(', ')} to ${range}`,
+  announceEventsResize: (titles, range) => `Resized ${titles.join(', ')} to ${range}`,
 };
 
 export function set(key, msg) {
@@ -1,16 +1,29 @@
 import invariant from 'invariant';
+import dates from './dates';
 import { navigate } from './constants';
 import VIEWS from '../Views';
 
-export default function moveDate(View, { action, date, ...props }) {
+export default function moveDate(View, { action, date, today = new Date(), ...props }) {
   View = typeof View === 'string' ? VIEWS[View] : View;
 
   switch (action) {
     case navigate.TODAY:
-      date = new Date();
+      date = today;
       break;
     case navigate.DATE:
       break;
+    case navigate.NEXT_DAY:
+      date = dates.add(date, 1, 'day');
+      break;
+    case navigate.PREVIOUS_DAY:
+      date = dates.add(date, -1, 'day');
+      break;
+    case navigate.NEXT_WEEK:
+      date = dates.add(date, 1, 'week');
+      break;
+    case navigate.PREVIOUS_WEEK:
+      date = dates.add(date, -1, 'week');
+      break;
     default:
       invariant(
         View && typeof View.navigate === 'function',
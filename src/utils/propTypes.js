@@ -33,6 +33,25 @@ let viewNames = Object.keys(Views).map(k => Views[k]);
 
 export let accessor = PropTypes.oneOfType([PropTypes.string, PropTypes.func]);
 
+// where dragged events would land, set by the drag and drop addon
+export let dragPreviews = PropTypes.arrayOf(
+  PropTypes.shape({
+    event: PropTypes.object.isRequired,
+    start: PropTypes.instanceOf(Date).isRequired,
+    end: PropTypes.instanceOf(Date).isRequired,
+    className: PropTypes.string,
+  }),
+);
+
+export let businessHours = PropTypes.arrayOf(
+  PropTypes.shape({
+    days: PropTypes.arrayOf(PropTypes.number).isRequired,
+    start: PropTypes.string.isRequired,
+    end: PropTypes.string.isRequired,
+    resourceId: PropTypes.any,
+  }),
+);
+
 export let dateFormat = createChainableTypeChecker(
   (...args) => localizer.propType && localizer.propType(...args),
 );
@@ -0,0 +1,137 @@
+import { rrulestr } from 'rrule';
+import { accessor as get } from './accessors';
+
+let pad = n => (n < 10 ? '0' : '') + n;
+
+/**
+ * rrule does its math in UTC, so local dates are handed over as "floating" times:
+ * the local wall clock written into the UTC fields, and read back the same way.
+ */
+function toFloating(date) {
+  return new Date(
+    Date.UTC(
+      date.getFullYear(),
+      date.getMonth(),
+      date.getDate(),
+      date.getHours(),
+      date.getMinutes(),
+      date.getSeconds(),
+    ),
+  );
+}
+
+function fromFloating(date) {
+  return new Date(
+    date.getUTCFullYear(),
+    date.getUTCMonth(),
+    date.getUTCDate(),
+    date.getUTCHours(),
+    date.getUTCMinutes(),
+    date.getUTCSeconds(),
+  );
+}
+
+// a date as written in a rule, its local wall clock, or its UTC one with a `Z` suffix
+function formatDate(date, utc) {
+  let field = name => date[(utc ? 'getUTC' : 'get') + name]();
+
+  return (
+    field('FullYear') +
+    pad(field('Month') + 1) +
+    pad(field('Date')) +
+    'T' +
+    pad(field('Hours')) +
+    pad(field('Minutes')) +
+    pad(field('Seconds')) +
+    (utc ? 'Z' : '')
+  );
+}
+
+const DATE_TIME = /(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)/g;
+
+/**
+ * Writes the dates of the `EXDATE` and `RDATE` lines the way `DTSTART` is written, so
+ * that a UTC date left out of a local rule, or the other way round, still lines up.
+ */
+function alignDates(str, utc) {
+  return str
+    .split('\n')
+    .map(line => {
+      if (!/^(EXDATE|RDATE)/i.test(line)) return line;
+
+      return line.replace(DATE_TIME, (match, year, month, day, hours, minutes, seconds, z) => {
+        if (!!z === utc) return match;
+
+        let fields = [+year, +month - 1, +day, +hours, +minutes, +seconds];
+        let date = z ? new Date(Date.UTC(...fields)) : new Date(...fields);
+
+        return formatDate(date, utc);
+      });
+    })
+    .join('\n');
+}
+
+export function isOccurrence(event) {
+  return !!(event && event.masterEvent);
+}
+
+/**
+ * Returns an accessor that reads the occurrence dates of an expanded event
+ * and falls back to the regular `accessor` for everything else.
+ */
+export function occurrenceAccessor(accessor, field) {
+  return event => (isOccurrence(event) ? event[field] : get(event, accessor));
+}
+
+export function createOccurrence(event, start, end, { startAccessor, endAccessor }) {
+  let occurrence = {
+    ...event,
+    masterEvent: event,
+    occurrenceDate: start,
+    occurrenceEnd: end,
+  };
+
+  if (event.id != null) occurrence.id = `${event.id}_${+start}`;
+  if (typeof startAccessor === 'string') occurrence[startAccessor] = start;
+  if (typeof endAccessor === 'string') occurrence[endAccessor] = end;
+
+  return occurrence;
+}
+
+/**
+ * Expands a single event into the occurrences that overlap `start` and `end`.
+ * Events without a recurrence rule are returned as is.
+ *
+ * The recurrence is a RFC 5545 string (or an array of lines) made of `RRULE`,
+ * `EXDATE` and `RDATE` properties. When it doesn't declare a `DTSTART` the event
+ * start is used. Dates without a `Z` suffix are read as local times, a `DTSTART` with
+ * one repeats at the same UTC time rather than the same local time.
+ */
+export function expandEvent(event, start, end, props) {
+  let { recurrenceAccessor, startAccessor, endAccessor } = props;
+  let rule = get(event, recurrenceAccessor);
+
+  if (!rule) return [event];
+
+  let eStart = get(event, startAccessor);
+  let duration = +get(event, endAccessor) - +eStart;
+  let str = [].concat(rule).join('\n');
+
+  if (!/DTSTART/i.test(str)) str = `DTSTART:${formatDate(eStart)}\n${str}`;
+
+  let utc = /^DTSTART[^:]*:\d{8}T\d{6}Z/im.test(str);
+  let toRule = utc ? date => date : toFloating;
+  let fromRule = utc ? date => date : fromFloating;
+
+  return rrulestr(alignDates(str, utc), { forceset: true })
+    .between(toRule(new Date(+start - duration)), toRule(end), true)
+    .map(date => {
+      let oStart = fromRule(date);
+      return createOccurrence(event, oStart, new Date(+oStart + duration), props);
+    })
+    .filter(occurrence => +occurrence.occurrenceEnd > +start || duration === 0);
+}
+
+export default function expandEvents(events, start, end, props) {
+  return events.reduce((acc, event) => acc.concat(expandEvent(event, start, end, props)), []);
+}
@@ -0,0 +1,117 @@
+import parse from 'date-fns/parse';
+
+import { accessor as get } from './accessors';
+
+let formatters = Object.create(null);
+
+function getFormatter(timezone) {
+  return (
+    formatters[timezone] ||
+    (formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      hour12: false,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }))
+  );
+}
+
+function wallClock(date, timezone) {
+  let parts = {};
+
+  getFormatter(timezone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => (parts[type] = +value));
+
+  return [parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second];
+}
+
+/**
+ * The offset, in milliseconds, of `timezone` from UTC at the given instant.
+ */
+export function getOffset(date, timezone) {
+  let seconds = Math.floor(+date / 1000) * 1000;
+
+  return Date.UTC(...wallClock(date, timezone)) - seconds;
+}
+
+/**
+ * Returns a Date whose _local_ fields read as the wall clock time of `timezone`
+ * at the instant `date`. Layout code only deals in local fields, so rendering
+ * shifted dates places everything according to the display zone.
+ */
+export function toZoned(date, timezone) {
+  if (!date || !timezone) return date;
+
+  let zoned = new Date(...wallClock(date, timezone));
+
+  return new Date(+zoned + date.getMilliseconds());
+}
+
+/**
+ * The inverse of `toZoned()`: reads the local fields of `date` as a wall clock
+ * time in `timezone` and returns the matching instant.
+ */
+export function fromZoned(date, timezone) {
+  if (!date || !timezone) return date;
+
+  let wall = Date.UTC(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate(),
+    date.getHours(),
+    date.getMinutes(),
+    date.getSeconds(),
+    date.getMilliseconds(),
+  );
+
+  let offset = getOffset(new Date(wall), timezone);
+  let instant = wall - offset;
+  let actual = getOffset(new Date(instant), timezone);
+
+  // crossed a DST transition between the guess and the result
+  if (actual !== offset) instant = wall - actual;
+
+  return new Date(instant);
+}
+
+/**
+ * Returns an accessor resolving event dates as wall clock times of the display
+ * `timezone`. Events declaring a zone through `timezoneAccessor` have their
+ * dates read as wall clock times of that zone first. Strings and timestamps, like
+ * the formatted dates the drag and drop addon reports, are parsed into dates.
+ */
+export function zonedAccessor(accessor, { timezone, timezoneAccessor }) {
+  if (!timezone && !timezoneAccessor) return accessor;
+
+  return event => {
+    let date = get(event, accessor);
+    let eventZone = timezoneAccessor && get(event, timezoneAccessor);
+
+    if (typeof date === 'string' || typeof date === 'number') date = parse(date);
+    if (!(date instanceof Date)) return date;
+    if (eventZone) date = fromZoned(date, eventZone);
+
+    return toZoned(date, timezone);
+  };
+}
+
+/**
+ * Converts the dates of a slot selection, as produced by the views, back into
+ * instants.
+ */
+export function slotInfoFromZone(slotInfo, timezone) {
+  if (!timezone || !slotInfo) return slotInfo;
+
+  return {
+    ...slotInfo,
+    start: fromZoned(slotInfo.start, timezone),
+    end: fromZoned(slotInfo.end, timezone),
+    slots: slotInfo.slots && slotInfo.slots.map(slot => fromZoned(slot, timezone)),
+  };
+}